@@ -1,3 +1,48 @@
+import { setTimeout as sleep } from 'timers/promises';
+import { getProfile } from '../utils/profiles.js';
+import { log } from '../utils/output.js';
+
+/**
+ * @typedef {Object} QueryParameter
+ * @property {string} name
+ * @property {string} [title]
+ * @property {string} type e.g. 'text', 'number', 'enum', 'query', 'date'
+ * @property {unknown} [value] Default value
+ * @property {string} [enumOptions] Newline-separated options of enum parameters
+ * @property {number} [queryId] Query providing the options of query parameters
+ */
+
+/**
+ * @typedef {Object} QuerySchedule
+ * @property {number | null} interval Refresh interval in seconds
+ * @property {string | null} [time]
+ * @property {string | null} [day_of_week]
+ * @property {string | null} [until]
+ */
+
+/**
+ * @typedef {Object} QueryOptions
+ * @property {QueryParameter[]} [parameters]
+ */
+
+/**
+ * @typedef {Object} RedashVisualization
+ * @property {number} id
+ * @property {string} type e.g. 'TABLE', 'CHART', 'COUNTER'
+ * @property {string} name
+ * @property {string} [description]
+ * @property {Record<string, unknown>} options
+ * @property {string} [created_at]
+ * @property {string} [updated_at]
+ */
+
+/**
+ * @typedef {Object} RedashDataSource
+ * @property {number} id
+ * @property {string} name
+ * @property {string} type e.g. 'pg', 'mysql', 'bigquery'
+ */
+
 /**
  * @typedef {Object} RedashQuery
  * @property {number} id
@@ -11,8 +56,280 @@
  * @property {boolean} [is_archived]
  * @property {boolean} [is_draft]
  * @property {string[]} [tags]
+ * @property {QueryOptions} [options]
+ * @property {QuerySchedule | null} [schedule]
+ * @property {RedashVisualization[]} [visualizations] Only returned for single queries
+ * @property {RedashUser} [user] Owner, returned by list endpoints instead of user_id
+ * @property {number} [version] Incremented by Redash on every change
+ * @property {number | null} [latest_query_data_id] Latest result, if the query ever ran
+ */
+
+/**
+ * @typedef {Object} RedashUser
+ * @property {number} id
+ * @property {string} name
+ * @property {string} email
+ */
+
+/**
+ * @typedef {Object} QueryListOptions
+ * @property {boolean} [all] Queries of all users instead of only your own
+ * @property {boolean} [archived] List archived queries (of all users) instead
+ * @property {string[]} [tags] Only queries with all of these tags
+ */
+
+/**
+ * @typedef {Object} NewRedashQuery
+ * @property {string} name
+ * @property {string} query
+ * @property {number} data_source_id
+ * @property {string} [description]
+ * @property {string[]} [tags]
+ * @property {QueryOptions} [options]
+ * @property {QuerySchedule | null} [schedule]
+ */
+
+/**
+ * @typedef {Partial<Pick<RedashQuery, 'name' | 'description' | 'tags' | 'data_source_id' | 'options' | 'schedule' | 'query'>>} RedashQueryUpdate
+ */
+
+/**
+ * @typedef {Partial<Pick<RedashVisualization, 'type' | 'name' | 'description' | 'options'>>} RedashVisualizationUpdate
+ */
+
+/**
+ * @typedef {Object} RedashWidget
+ * @property {number} id
+ * @property {number} dashboard_id
+ * @property {(RedashVisualization & { query?: { id: number } }) | null} [visualization]
+ * @property {string} [text] Content of text box widgets
+ * @property {number} width
+ * @property {Record<string, unknown>} options Includes the widget's position
+ */
+
+/**
+ * @typedef {Object} RedashDashboard
+ * @property {number} id
+ * @property {string} slug
+ * @property {string} name
+ * @property {string[]} [tags]
+ * @property {number} user_id
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {boolean} [is_archived]
+ * @property {boolean} [is_draft]
+ * @property {boolean} [dashboard_filters_enabled]
+ * @property {RedashWidget[]} [widgets] Only returned for single dashboards
+ */
+
+/**
+ * @typedef {Partial<Pick<RedashDashboard, 'name' | 'tags' | 'dashboard_filters_enabled'>>} RedashDashboardUpdate
+ */
+
+/**
+ * @typedef {Object} NewRedashWidget
+ * @property {number} dashboard_id
+ * @property {number | null} visualization_id
+ * @property {string} text
+ * @property {number} width
+ * @property {Record<string, unknown>} options
  */
 
+/**
+ * @typedef {Object} RedashQuerySnippet
+ * @property {number} id
+ * @property {string} trigger Word that inserts the snippet in the query editor
+ * @property {string} [description]
+ * @property {string} snippet
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Pick<RedashQuerySnippet, 'trigger' | 'description' | 'snippet'>} NewRedashQuerySnippet
+ */
+
+/**
+ * Alert condition, plus any other options set in the UI, e.g. a custom subject
+ * @typedef {{ column: string, op: string, value: number | string } & Record<string, unknown>} AlertOptions
+ */
+
+/**
+ * @typedef {Object} RedashAlert
+ * @property {number} id
+ * @property {string} name
+ * @property {RedashQuery} query
+ * @property {AlertOptions} options
+ * @property {number | null} rearm Seconds before a triggered alert notifies again, null to notify once
+ * @property {'ok' | 'triggered' | 'unknown'} state
+ * @property {RedashUser} [user]
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} RedashAlertUpdate
+ * @property {string} name
+ * @property {number} query_id
+ * @property {AlertOptions} options
+ * @property {number | null} rearm
+ */
+
+/**
+ * @typedef {Object} RedashDestination
+ * @property {number} id
+ * @property {string} name
+ * @property {string} type
+ */
+
+/**
+ * A destination notified by an alert, or a user notified by email
+ * @typedef {Object} RedashAlertSubscription
+ * @property {number} id
+ * @property {RedashUser} user
+ * @property {RedashDestination | null} [destination] Missing for email subscriptions
+ */
+
+/**
+ * Parameter values by name. Date ranges take an object with start and end
+ * @typedef {Record<string, unknown>} ParameterValues
+ */
+
+/**
+ * @typedef {Object} QueryExecution
+ * @property {string} query SQL to run
+ * @property {number} data_source_id
+ * @property {ParameterValues} [parameters]
+ * @property {number} [max_age] Maximum age of cached results in seconds (0 to always run)
+ */
+
+/**
+ * Job status: 1 pending, 2 started, 3 success, 4 failure, 5 cancelled
+ * @typedef {Object} RedashJob
+ * @property {string} id
+ * @property {1 | 2 | 3 | 4 | 5} status
+ * @property {string} [error]
+ * @property {number | null} [query_result_id]
+ */
+
+/**
+ * @typedef {Object} RedashColumn
+ * @property {string} name
+ * @property {string | null} [type]
+ * @property {string} [friendly_name]
+ */
+
+/**
+ * @typedef {Object} RedashQueryResult
+ * @property {number} id
+ * @property {string} query
+ * @property {number} data_source_id
+ * @property {number} runtime Execution time in seconds
+ * @property {string} retrieved_at
+ * @property {{ columns: RedashColumn[], rows: Record<string, unknown>[] }} data
+ */
+
+/**
+ * Either a job to poll, or cached results that are recent enough
+ * @typedef {{ job: RedashJob } | { query_result: RedashQueryResult }} QueryExecutionResponse
+ */
+
+/**
+ * @typedef {Object} ClientOptions
+ * @property {number} [retries] Retries of transient failures (default: 3)
+ * @property {number} [timeout] Milliseconds before a request is aborted (default: 30000)
+ * @property {number} [retryDelay] Milliseconds before the first retry, doubled for each further retry (default: 500)
+ * @property {number} [maxRetryDelay] Upper bound of the computed retry delay (default: 30000)
+ */
+
+/**
+ * Idempotent requests are safe to repeat after a failure that may have
+ * reached the server (default: true for GET and DELETE)
+ * @typedef {RequestInit & { idempotent?: boolean }} RequestOptions
+ */
+
+/**
+ * Error returned by the Redash API, or a request that got no response
+ */
+export class RedashApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {number | null} details.status HTTP status, null if there was no response
+   * @param {string} details.method
+   * @param {string} details.endpoint
+   * @param {unknown} [details.body] Parsed JSON or text of the response
+   * @param {number | null} [details.retryAfter] Milliseconds requested by Retry-After
+   * @param {unknown} [details.cause]
+   */
+  constructor(message, { status, method, endpoint, body, retryAfter, cause }) {
+    super(message, { cause });
+    this.name = 'RedashApiError';
+    this.status = status;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.body = body;
+    this.retryAfter = retryAfter ?? null;
+  }
+
+  /**
+   * The API key is missing, wrong or revoked
+   * @returns {boolean}
+   */
+  get isAuthError() {
+    return this.status === 401;
+  }
+
+  /**
+   * The API key's user may not access or change this object
+   * @returns {boolean}
+   */
+  get isPermissionError() {
+    return this.status === 403;
+  }
+
+  /**
+   * The object was changed by someone else since the version sent along
+   * @returns {boolean}
+   */
+  get isVersionConflict() {
+    return this.status === 409;
+  }
+
+  /**
+   * The request may succeed when repeated later
+   * @returns {boolean}
+   */
+  get isTransient() {
+    return (
+      this.status === null ||
+      this.status === 408 ||
+      this.status === 429 ||
+      this.status >= 500
+    );
+  }
+}
+
+/**
+ * Parse a Retry-After header given in seconds or as an HTTP date
+ * @param {string | null} value
+ * @returns {number | null} Milliseconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 /**
  * Redash API Client
  * Uses native fetch API available in Node.js 24
@@ -21,55 +338,168 @@ export class RedashClient {
   /**
    * @param {string} baseUrl
    * @param {string} apiKey
+   * @param {ClientOptions} [options]
    */
-  constructor(baseUrl, apiKey) {
+  constructor(baseUrl, apiKey, options = {}) {
     if (!baseUrl || !apiKey) {
       throw new Error('REDASH_URL and REDASH_API_KEY must be provided');
     }
 
     this.baseUrl = baseUrl.replace(/\/$/, ''); // Remove trailing slash
     this.apiKey = apiKey;
+    this.retries = options.retries ?? 3;
+    this.timeout = options.timeout ?? 30000;
+    this.retryDelay = options.retryDelay ?? 500;
+    this.maxRetryDelay = options.maxRetryDelay ?? 30000;
   }
 
   /**
    * Make an authenticated request to the Redash API
+   * Transient failures are retried with exponential backoff and jitter.
+   * Requests that aren't idempotent are only retried on 429, which Redash
+   * sends before doing any work
    * @param {string} endpoint
-   * @param {RequestInit} [options]
+   * @param {RequestOptions} [options]
    * @returns {Promise<any>}
    */
   async request(endpoint, options = {}) {
+    const { idempotent, ...init } = options;
+    const method = init.method || 'GET';
+    const repeatable = idempotent ?? (method === 'GET' || method === 'DELETE');
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.send(endpoint, method, init);
+      } catch (error) {
+        if (
+          !(error instanceof RedashApiError) ||
+          !error.isTransient ||
+          !(repeatable || error.status === 429) ||
+          attempt > this.retries
+        ) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        log(
+          `  [RETRY] ${error.message}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${this.retries})`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Make a single request with a timeout
+   * @param {string} endpoint
+   * @param {string} method
+   * @param {RequestInit} init
+   * @returns {Promise<any>}
+   */
+  async send(endpoint, method, init) {
     const url = `${this.baseUrl}/api${endpoint}`;
+    const timeout = AbortSignal.timeout(this.timeout);
+    const signal = init.signal
+      ? AbortSignal.any([init.signal, timeout])
+      : timeout;
+    const context = `${method} ${endpoint}`;
 
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        Authorization: `Key ${this.apiKey}`,
-        'Content-Type': 'application/json',
-        ...(options.headers || {}),
-      },
-    });
+    try {
+      const response = await fetch(url, {
+        ...init,
+        method,
+        signal,
+        headers: {
+          Authorization: `Key ${this.apiKey}`,
+          'Content-Type': 'application/json',
+          ...(init.headers || {}),
+        },
+      });
 
-    if (!response.ok) {
-      throw new Error(
-        `Redash API error: ${response.status} ${response.statusText}`
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        /** @type {unknown} */
+        let body = text;
+        try {
+          body = JSON.parse(text);
+        } catch {
+          // Not JSON, keep the text
+        }
+
+        // Redash explains most client errors in a JSON message
+        const message =
+          body && typeof body === 'object' && 'message' in body
+            ? ` - ${body.message}`
+            : '';
+
+        throw new RedashApiError(
+          `Redash API error: ${response.status} ${response.statusText}${message} (${context})`,
+          {
+            status: response.status,
+            method,
+            endpoint,
+            body,
+            retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+          }
+        );
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error instanceof RedashApiError || init.signal?.aborted) {
+        throw error;
+      }
+
+      const timedOut = timeout.aborted;
+      throw new RedashApiError(
+        timedOut
+          ? `Redash API request timed out after ${this.timeout / 1000}s (${context})`
+          : `Redash API request failed: ${error instanceof Error ? error.message : String(error)} (${context})`,
+        { status: null, method, endpoint, cause: error }
       );
     }
+  }
+
+  /**
+   * Time to wait before retrying a failed request
+   * @param {RedashApiError} error
+   * @param {number} attempt Number of the failed attempt, starting at 1
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(error, attempt) {
+    if (error.retryAfter !== null) {
+      return error.retryAfter;
+    }
 
-    return response.json();
+    const delay = Math.min(
+      this.maxRetryDelay,
+      this.retryDelay * 2 ** (attempt - 1)
+    );
+    // Jitter spreads out retries of clients that failed at the same time
+    return delay / 2 + Math.random() * (delay / 2);
   }
 
   /**
    * Fetch all queries continuously using async generator
    * Yields queries as they're being fetched (with pagination support)
+   * @param {QueryListOptions} [options]
    * @returns {AsyncGenerator<RedashQuery, void, unknown>}
    */
-  async *getAllQueries() {
+  async *getAllQueries(options = {}) {
     let page = 1;
     const pageSize = 100;
+    const list = options.archived
+      ? '/queries/archive'
+      : options.all
+        ? '/queries'
+        : '/queries/my';
+    const tags = (options.tags || [])
+      .map((tag) => `&tags=${encodeURIComponent(tag)}`)
+      .join('');
 
     while (true) {
       const data = await this.request(
-        `/queries/my?order=created_at&page=${page}&page_size=${pageSize}`
+        `${list}?order=created_at&page=${page}&page_size=${pageSize}${tags}`
       );
 
       if (!data.results || data.results.length === 0) {
@@ -90,6 +520,23 @@ export class RedashClient {
     }
   }
 
+  /**
+   * Fetch the user the API key belongs to
+   * @returns {Promise<RedashUser>}
+   */
+  async getCurrentUser() {
+    const data = await this.request('/session');
+    return data.user;
+  }
+
+  /**
+   * Get all data sources
+   * @returns {Promise<RedashDataSource[]>}
+   */
+  async getDataSources() {
+    return this.request('/data_sources');
+  }
+
   /**
    * Fetch a single query by ID with full details
    * @param {number} queryId
@@ -99,33 +546,337 @@ export class RedashClient {
     return this.request(`/queries/${queryId}`);
   }
 
+  /**
+   * Update a query's name, description, tags, data source, options or schedule
+   * The SQL can be sent along, so both change together or not at all
+   * @param {number} queryId
+   * @param {RedashQueryUpdate} fields
+   * @param {number} [version] Rejects the update with 409 if the query has a newer version
+   * @returns {Promise<RedashQuery>}
+   */
+  async updateQueryMetadata(queryId, fields, version) {
+    return this.request(`/queries/${queryId}`, {
+      method: 'POST',
+      idempotent: true,
+      body: JSON.stringify({ ...fields, version }),
+    });
+  }
+
+  /**
+   * Create a new query
+   * @param {NewRedashQuery} query
+   * @returns {Promise<RedashQuery>}
+   */
+  async createQuery(query) {
+    return this.request('/queries', {
+      method: 'POST',
+      body: JSON.stringify(query),
+    });
+  }
+
   /**
    * Update a query's SQL content
    * @param {number} queryId
    * @param {string} sqlContent
+   * @param {number} [version] Rejects the update with 409 if the query has a newer version
    * @returns {Promise<RedashQuery>}
    */
-  async updateQuery(queryId, sqlContent) {
+  async updateQuery(queryId, sqlContent, version) {
     return this.request(`/queries/${queryId}`, {
       method: 'POST',
-      body: JSON.stringify({ query: sqlContent }),
+      idempotent: true,
+      body: JSON.stringify({ query: sqlContent, version }),
+    });
+  }
+
+  /**
+   * Archive a query (Redash's delete keeps archived queries restorable)
+   * @param {number} queryId
+   * @returns {Promise<void>}
+   */
+  async archiveQuery(queryId) {
+    await this.request(`/queries/${queryId}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Run SQL against a data source
+   * @param {QueryExecution} execution
+   * @returns {Promise<QueryExecutionResponse>}
+   */
+  async executeQuery(execution) {
+    return this.request('/query_results', {
+      method: 'POST',
+      body: JSON.stringify(execution),
+    });
+  }
+
+  /**
+   * Fetch the status of a query execution job
+   * @param {string} jobId
+   * @returns {Promise<RedashJob>}
+   */
+  async getJob(jobId) {
+    const data = await this.request(`/jobs/${jobId}`);
+    return data.job;
+  }
+
+  /**
+   * Cancel a pending or running job
+   * @param {string} jobId
+   * @returns {Promise<void>}
+   */
+  async cancelJob(jobId) {
+    await this.request(`/jobs/${jobId}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Fetch stored query results
+   * @param {number} queryResultId
+   * @returns {Promise<RedashQueryResult>}
+   */
+  async getQueryResult(queryResultId) {
+    const data = await this.request(`/query_results/${queryResultId}`);
+    return data.query_result;
+  }
+
+  /**
+   * Fetch all dashboards continuously using async generator
+   * @returns {AsyncGenerator<RedashDashboard, void, unknown>}
+   */
+  async *getAllDashboards() {
+    let page = 1;
+    const pageSize = 100;
+
+    while (true) {
+      const data = await this.request(
+        `/dashboards?order=created_at&page=${page}&page_size=${pageSize}`
+      );
+
+      if (!data.results || data.results.length === 0) {
+        break;
+      }
+
+      for (const dashboard of data.results) {
+        yield dashboard;
+      }
+
+      if (data.results.length < pageSize) {
+        break;
+      }
+
+      page++;
+    }
+  }
+
+  /**
+   * Fetch a single dashboard by ID, including its widgets
+   * @param {number} dashboardId
+   * @returns {Promise<RedashDashboard>}
+   */
+  async getDashboard(dashboardId) {
+    return this.request(`/dashboards/${dashboardId}`);
+  }
+
+  /**
+   * Update a dashboard's name, tags or filter setting
+   * @param {number} dashboardId
+   * @param {RedashDashboardUpdate} fields
+   * @returns {Promise<RedashDashboard>}
+   */
+  async updateDashboard(dashboardId, fields) {
+    return this.request(`/dashboards/${dashboardId}`, {
+      method: 'POST',
+      idempotent: true,
+      body: JSON.stringify(fields),
+    });
+  }
+
+  /**
+   * Add a widget to a dashboard
+   * @param {NewRedashWidget} widget
+   * @returns {Promise<RedashWidget>}
+   */
+  async createWidget(widget) {
+    return this.request('/widgets', {
+      method: 'POST',
+      body: JSON.stringify(widget),
+    });
+  }
+
+  /**
+   * Update a widget's text, width or options (including its position)
+   * @param {number} widgetId
+   * @param {Partial<Pick<RedashWidget, 'text' | 'width' | 'options'>>} fields
+   * @returns {Promise<RedashWidget>}
+   */
+  async updateWidget(widgetId, fields) {
+    return this.request(`/widgets/${widgetId}`, {
+      method: 'POST',
+      idempotent: true,
+      body: JSON.stringify(fields),
+    });
+  }
+
+  /**
+   * Remove a widget from its dashboard
+   * @param {number} widgetId
+   * @returns {Promise<void>}
+   */
+  async deleteWidget(widgetId) {
+    await this.request(`/widgets/${widgetId}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Get all alerts
+   * @returns {Promise<RedashAlert[]>}
+   */
+  async getAlerts() {
+    return this.request('/alerts');
+  }
+
+  /**
+   * Fetch a single alert by ID
+   * @param {number} alertId
+   * @returns {Promise<RedashAlert>}
+   */
+  async getAlert(alertId) {
+    return this.request(`/alerts/${alertId}`);
+  }
+
+  /**
+   * Update an alert's name, query, condition or rearm setting
+   * @param {number} alertId
+   * @param {RedashAlertUpdate} fields
+   * @returns {Promise<RedashAlert>}
+   */
+  async updateAlert(alertId, fields) {
+    return this.request(`/alerts/${alertId}`, {
+      method: 'POST',
+      idempotent: true,
+      body: JSON.stringify(fields),
+    });
+  }
+
+  /**
+   * Get the destinations and users notified by an alert
+   * @param {number} alertId
+   * @returns {Promise<RedashAlertSubscription[]>}
+   */
+  async getAlertSubscriptions(alertId) {
+    return this.request(`/alerts/${alertId}/subscriptions`);
+  }
+
+  /**
+   * Notify a destination when an alert triggers
+   * @param {number} alertId
+   * @param {number} destinationId
+   * @returns {Promise<RedashAlertSubscription>}
+   */
+  async createAlertSubscription(alertId, destinationId) {
+    return this.request(`/alerts/${alertId}/subscriptions`, {
+      method: 'POST',
+      body: JSON.stringify({
+        alert_id: alertId,
+        destination_id: destinationId,
+      }),
+    });
+  }
+
+  /**
+   * Stop notifying a destination or user
+   * @param {number} alertId
+   * @param {number} subscriptionId
+   * @returns {Promise<void>}
+   */
+  async deleteAlertSubscription(alertId, subscriptionId) {
+    await this.request(`/alerts/${alertId}/subscriptions/${subscriptionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Get all query snippets
+   * @returns {Promise<RedashQuerySnippet[]>}
+   */
+  async getQuerySnippets() {
+    return this.request('/query_snippets');
+  }
+
+  /**
+   * Create a query snippet
+   * @param {NewRedashQuerySnippet} snippet
+   * @returns {Promise<RedashQuerySnippet>}
+   */
+  async createQuerySnippet(snippet) {
+    return this.request('/query_snippets', {
+      method: 'POST',
+      body: JSON.stringify(snippet),
+    });
+  }
+
+  /**
+   * Update a query snippet's trigger, description or body
+   * @param {number} snippetId
+   * @param {NewRedashQuerySnippet} fields
+   * @returns {Promise<RedashQuerySnippet>}
+   */
+  async updateQuerySnippet(snippetId, fields) {
+    return this.request(`/query_snippets/${snippetId}`, {
+      method: 'POST',
+      idempotent: true,
+      body: JSON.stringify(fields),
+    });
+  }
+
+  /**
+   * Update a visualization's type, name, description or options
+   * @param {number} visualizationId
+   * @param {RedashVisualizationUpdate} fields
+   * @returns {Promise<RedashVisualization>}
+   */
+  async updateVisualization(visualizationId, fields) {
+    return this.request(`/visualizations/${visualizationId}`, {
+      method: 'POST',
+      idempotent: true,
+      body: JSON.stringify(fields),
     });
   }
 }
 
 /**
- * Create a Redash client from environment variables
- * @returns {RedashClient}
+ * Read a non-negative number from an environment variable
+ * @param {string} name
+ * @returns {number | undefined}
  */
-export function createClient() {
-  const baseUrl = process.env.REDASH_URL;
-  const apiKey = process.env.REDASH_API_KEY;
+function readNumberEnv(name) {
+  const value = process.env[name];
 
-  if (!baseUrl || !apiKey) {
-    throw new Error(
-      'REDASH_URL and REDASH_API_KEY environment variables must be set'
-    );
+  if (value === undefined || value === '') {
+    return undefined;
   }
 
-  return new RedashClient(baseUrl, apiKey);
+  const number = Number(value);
+
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number, got '${value}'`);
+  }
+
+  return number;
+}
+
+/**
+ * Create a Redash client from a profile's environment variables
+ * REDASH_RETRIES and REDASH_TIMEOUT (seconds) apply to all profiles
+ * @param {string} [profileName] Profile to connect to (default: the active profile)
+ * @returns {RedashClient}
+ */
+export function createClient(profileName) {
+  const { url, apiKey } = getProfile(profileName);
+  const retries = readNumberEnv('REDASH_RETRIES');
+  const timeout = readNumberEnv('REDASH_TIMEOUT');
+
+  return new RedashClient(url, apiKey, {
+    retries,
+    timeout: timeout === undefined ? undefined : timeout * 1000,
+  });
 }
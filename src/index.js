@@ -5,22 +5,481 @@
  * Main entry point for the application
  */
 
+import { parseArgs } from 'util';
 import { downloadQueries } from './services/downloader.js';
+import { showStatus } from './services/status.js';
+import { createQueries } from './services/creator.js';
+import { syncDashboards } from './services/dashboards.js';
+import { syncSnippets } from './services/snippets.js';
+import { syncAlerts } from './services/alerts.js';
+import { runQuery } from './services/runner.js';
+import { promoteQueries } from './services/promoter.js';
+import { watchQueries } from './services/watcher.js';
+import {
+  showLog,
+  showRevision,
+  diffRevisions,
+  revertRevision,
+} from './services/history.js';
+import {
+  getBoolean,
+  getChoice,
+  getNumber,
+  getString,
+  getStrings,
+} from './utils/args.js';
+import { listProfiles, useProfile } from './utils/profiles.js';
+import {
+  getAlertsDir,
+  getDashboardsDir,
+  getSnippetsDir,
+} from './utils/fileManager.js';
+import {
+  withDirectoryLock,
+  withPromotionsLock,
+  withQueriesLock,
+} from './utils/lock.js';
+import { configureOutput, log } from './utils/output.js';
+
+/**
+ * @typedef {import('./utils/args.js').ArgValues} ArgValues
+ */
+
+/**
+ * @typedef {Object} CommandOption
+ * @property {'string' | 'boolean'} type
+ * @property {string} description
+ * @property {boolean} [multiple] Option may be given more than once
+ * @property {string} [placeholder] Value name shown in help output
+ */
 
 /**
  * @typedef {Object} Command
  * @property {string} description
- * @property {() => Promise<void>} action
+ * @property {Record<string, CommandOption>} [options]
+ * @property {(values: ArgValues, positionals: string[]) => Promise<number | void>} action Resolves to the exit code, if not 0
+ */
+
+/**
+ * Build sync options from command-line values
+ * @param {ArgValues} values
+ * @returns {import('./services/downloader.js').SyncOptions}
+ */
+function toSyncOptions(values) {
+  return {
+    upload: getChoice(values, 'upload', ['prompt', 'always', 'never']),
+    onConflict: getChoice(values, 'on-conflict', [
+      'prompt',
+      'local',
+      'remote',
+      'skip',
+      'fail',
+    ]),
+    failOnConflict: getBoolean(values, 'fail-on-conflict'),
+    exitCode: getBoolean(values, 'exit-code'),
+  };
+}
+
+/**
+ * Build output options from command-line values
+ * @param {ArgValues} values
+ * @returns {import('./utils/output.js').OutputOptions}
+ */
+function toOutputOptions(values) {
+  const quiet = getBoolean(values, 'quiet');
+  const verbose = getBoolean(values, 'verbose');
+
+  if (quiet && verbose) {
+    throw new Error('--quiet and --verbose cannot be combined');
+  }
+
+  return {
+    level: quiet ? 'quiet' : verbose ? 'verbose' : 'normal',
+    json: getBoolean(values, 'json'),
+  };
+}
+
+/**
+ * Build the sync scope from command-line values and query IDs
+ * @param {ArgValues} values
+ * @param {string[]} positionals
+ * @returns {import('./services/scope.js').SyncScope}
+ */
+function toScope(values, positionals) {
+  const invalid = positionals.find((id) => !/^\d+$/.test(id));
+
+  if (invalid) {
+    throw new Error(`Invalid query ID '${invalid}'`);
+  }
+
+  const dataSource = getString(values, 'data-source');
+
+  if (dataSource !== undefined && !/^\d+$/.test(dataSource)) {
+    throw new Error(
+      `Invalid value '${dataSource}' for --data-source (expected a data source ID)`
+    );
+  }
+
+  return {
+    all: getBoolean(values, 'all'),
+    ids: positionals.map(Number),
+    tags: getStrings(values, 'tag'),
+    dataSourceId: dataSource === undefined ? undefined : Number(dataSource),
+    owner: getString(values, 'owner'),
+    search: getString(values, 'search'),
+    archived: getChoice(values, 'archived', ['exclude', 'include', 'only']),
+  };
+}
+
+/**
+ * Options accepted by every command
+ * @type {Record<string, CommandOption>}
+ */
+const GLOBAL_OPTIONS = {
+  profile: {
+    type: 'string',
+    placeholder: 'name',
+    description: 'Named profile to use instead of REDASH_URL/REDASH_API_KEY',
+  },
+};
+
+/** @type {Record<string, CommandOption>} */
+const SYNC_OPTIONS = {
+  upload: {
+    type: 'string',
+    placeholder: 'prompt|always|never',
+    description: 'How to handle local modifications (default: prompt)',
+  },
+  'on-conflict': {
+    type: 'string',
+    placeholder: 'prompt|local|remote|skip|fail',
+    description: 'How to resolve conflicts (default: prompt)',
+  },
+  'fail-on-conflict': {
+    type: 'boolean',
+    description:
+      'Print an error if conflicts are left unresolved (they exit with 2 either way)',
+  },
+};
+
+/**
+ * Options choosing how much is printed, and in which format
+ * @type {Record<string, CommandOption>}
+ */
+const OUTPUT_OPTIONS = {
+  quiet: {
+    type: 'boolean',
+    description: 'Only print conflicts, warnings and errors',
+  },
+  verbose: {
+    type: 'boolean',
+    description: 'Also print unchanged queries',
+  },
+  json: {
+    type: 'boolean',
+    description:
+      'Print an NDJSON event per query and a summary on stdout, messages on stderr',
+  },
+};
+
+/** @type {Record<string, CommandOption>} */
+const EXIT_CODE_OPTIONS = {
+  'exit-code': {
+    type: 'boolean',
+    description:
+      'Exit with 3 instead of 0 if changes were applied (2: conflicts left, 1: errors)',
+  },
+};
+
+/**
+ * Options of the dashboard, snippet and alert syncs
+ * @type {Record<string, CommandOption>}
+ */
+const ITEM_SYNC_OPTIONS = {
+  ...SYNC_OPTIONS,
+  ...EXIT_CODE_OPTIONS,
+  ...OUTPUT_OPTIONS,
+};
+
+/**
+ * Options selecting the queries to sync, in addition to query IDs
+ * @type {Record<string, CommandOption>}
  */
+const SCOPE_OPTIONS = {
+  all: {
+    type: 'boolean',
+    description: 'Include queries of all users, not only your own',
+  },
+  tag: {
+    type: 'string',
+    multiple: true,
+    placeholder: 'tag',
+    description: 'Only queries with this tag, repeatable',
+  },
+  'data-source': {
+    type: 'string',
+    placeholder: 'id',
+    description: 'Only queries on this data source',
+  },
+  owner: {
+    type: 'string',
+    placeholder: 'id|email',
+    description: 'Only queries owned by this user',
+  },
+  search: {
+    type: 'string',
+    placeholder: 'text',
+    description: 'Only queries with this text in the name, description or SQL',
+  },
+  archived: {
+    type: 'string',
+    placeholder: 'exclude|include|only',
+    description: 'Whether to sync archived queries (default: exclude)',
+  },
+};
 
 /** @type {Record<string, Command>} */
 const COMMANDS = {
   sync: {
-    description: 'Sync all queries with Redash',
-    action: downloadQueries,
+    description: 'Sync all queries (or the given query IDs) with Redash',
+    options: {
+      ...SYNC_OPTIONS,
+      ...SCOPE_OPTIONS,
+      'dry-run': {
+        type: 'boolean',
+        description: 'Only show what would happen (same as status)',
+      },
+      diff: {
+        type: 'boolean',
+        description: 'With --dry-run, show a diff for every change',
+      },
+      full: {
+        type: 'boolean',
+        description:
+          'Compare every query, even if not modified since last sync',
+      },
+      concurrency: {
+        type: 'string',
+        placeholder: 'n',
+        description: 'Queries compared and downloaded at once (default: 8)',
+      },
+      'archive-deleted': {
+        type: 'boolean',
+        description:
+          'Offer to archive queries in Redash whose local directory was deleted',
+      },
+      'allow-unsafe': {
+        type: 'boolean',
+        description: 'Upload SQL that fails the safety checks',
+      },
+      ...EXIT_CODE_OPTIONS,
+      ...OUTPUT_OPTIONS,
+    },
+    action: async (values, positionals) => {
+      if (!getBoolean(values, 'dry-run')) {
+        return withQueriesLock('sync', () =>
+          downloadQueries({
+            ...toSyncOptions(values),
+            scope: toScope(values, positionals),
+            full: getBoolean(values, 'full'),
+            concurrency: getNumber(values, 'concurrency'),
+            archiveDeleted: getBoolean(values, 'archive-deleted'),
+            allowUnsafe: getBoolean(values, 'allow-unsafe'),
+          })
+        );
+      }
+
+      return showStatus({
+        diff: getBoolean(values, 'diff'),
+        scope: toScope(values, positionals),
+      });
+    },
+  },
+  status: {
+    description: 'Show what sync would do without writing anything',
+    options: {
+      diff: {
+        type: 'boolean',
+        description: 'Show a diff for every query that would change',
+      },
+      ...SCOPE_OPTIONS,
+      ...OUTPUT_OPTIONS,
+    },
+    action: (values, positionals) =>
+      showStatus({
+        diff: getBoolean(values, 'diff'),
+        scope: toScope(values, positionals),
+      }),
+  },
+  watch: {
+    description: 'Upload query.sql files as they are saved, and poll Redash',
+    options: {
+      ...SCOPE_OPTIONS,
+      interval: {
+        type: 'string',
+        placeholder: 'seconds',
+        description: 'How often to check Redash for changes (default: 60)',
+      },
+    },
+    action: (values, positionals) =>
+      withQueriesLock('watch', () =>
+        watchQueries({
+          scope: toScope(values, positionals),
+          interval: getNumber(values, 'interval'),
+        })
+      ),
+  },
+  create: {
+    description: 'Create Redash queries from local draft directories',
+    options: {
+      'allow-unsafe': {
+        type: 'boolean',
+        description: 'Create queries whose SQL fails the safety checks',
+      },
+    },
+    action: (values, positionals) =>
+      withQueriesLock('create', () =>
+        createQueries(positionals, {
+          allowUnsafe: getBoolean(values, 'allow-unsafe'),
+        })
+      ),
+  },
+  dashboards: {
+    description: 'Sync all dashboards with Redash',
+    options: ITEM_SYNC_OPTIONS,
+    action: (values) =>
+      withDirectoryLock(getDashboardsDir(), 'dashboards', () =>
+        syncDashboards(toSyncOptions(values))
+      ),
+  },
+  snippets: {
+    description: 'Sync query snippets with snippets/',
+    options: ITEM_SYNC_OPTIONS,
+    action: (values) =>
+      withDirectoryLock(getSnippetsDir(), 'snippets', () =>
+        syncSnippets(toSyncOptions(values))
+      ),
+  },
+  alerts: {
+    description: 'Sync all alerts with Redash',
+    options: ITEM_SYNC_OPTIONS,
+    action: (values) =>
+      withDirectoryLock(getAlertsDir(), 'alerts', () =>
+        syncAlerts(toSyncOptions(values))
+      ),
+  },
+  run: {
+    description: 'Run a query and save its results to queries/<id>/',
+    options: {
+      remote: {
+        type: 'boolean',
+        description: 'Run the SQL stored in Redash instead of query.sql',
+      },
+      param: {
+        type: 'string',
+        multiple: true,
+        placeholder: 'name=value',
+        description:
+          'Parameter value, repeatable (date ranges: name.start=, name.end=)',
+      },
+      format: {
+        type: 'string',
+        placeholder: 'csv|json',
+        description: 'Format of the results file (default: csv)',
+      },
+      timeout: {
+        type: 'string',
+        placeholder: 'seconds',
+        description: 'How long to wait for the query to finish (default: 300)',
+      },
+    },
+    action: (values, positionals) =>
+      runQuery(positionals, {
+        remote: getBoolean(values, 'remote'),
+        parameters: getStrings(values, 'param'),
+        format: getChoice(values, 'format', ['csv', 'json']),
+        timeout: getNumber(values, 'timeout'),
+      }),
+  },
+  promote: {
+    description: 'Copy queries to another Redash instance',
+    options: {
+      from: {
+        type: 'string',
+        placeholder: 'profile',
+        description: 'Profile to copy the queries from',
+      },
+      to: {
+        type: 'string',
+        placeholder: 'profile',
+        description: 'Profile to create or update the queries in',
+      },
+      yes: {
+        type: 'boolean',
+        description: 'Promote without asking for confirmation',
+      },
+    },
+    action: (values, positionals) =>
+      withPromotionsLock('promote', () =>
+        promoteQueries(positionals, {
+          from: getString(values, 'from'),
+          to: getString(values, 'to'),
+          yes: getBoolean(values, 'yes'),
+        })
+      ),
+  },
+  log: {
+    description: 'List the versions of a query seen during sync',
+    action: (_values, positionals) => showLog(positionals),
+  },
+  show: {
+    description: 'Print the SQL of a version: show <query-id> <rev>',
+    options: {
+      metadata: {
+        type: 'boolean',
+        description: 'Print the metadata instead of the SQL',
+      },
+    },
+    action: (values, positionals) =>
+      showRevision(positionals, { metadata: getBoolean(values, 'metadata') }),
+  },
+  diff: {
+    description: 'Compare two versions: diff <query-id> <rev-a> <rev-b>',
+    action: (_values, positionals) => diffRevisions(positionals),
+  },
+  revert: {
+    description:
+      'Restore a version into query.sql for the next sync: revert <query-id> <rev>',
+    options: {
+      metadata: {
+        type: 'boolean',
+        description: 'Also restore the metadata into query.json',
+      },
+    },
+    action: (values, positionals) =>
+      withQueriesLock('revert', () =>
+        revertRevision(positionals, {
+          metadata: getBoolean(values, 'metadata'),
+        })
+      ),
   },
 };
 
+/**
+ * Display the options of a command
+ * @param {Record<string, CommandOption>} options
+ * @returns {void}
+ */
+function showOptions(options) {
+  for (const [option, spec] of Object.entries(options)) {
+    const flag = spec.placeholder
+      ? `--${option}=<${spec.placeholder}>`
+      : `--${option}`;
+    console.log(`      ${flag}`);
+    console.log(`          ${spec.description}`);
+  }
+}
+
 /**
  * Display help information
  * @returns {void}
@@ -32,11 +491,25 @@ function showHelp() {
 
   for (const [name, cmd] of Object.entries(COMMANDS)) {
     console.log(`  ${name.padEnd(15)} ${cmd.description}`);
+    showOptions(cmd.options || {});
   }
 
+  console.log('\nOptions for all commands:');
+  showOptions(GLOBAL_OPTIONS);
+
+  console.log('\nPass options after --, e.g. npm run sync -- --upload=never');
+
   console.log('\nEnvironment variables (configured in .env):');
   console.log('  REDASH_URL      Base URL of your Redash instance');
   console.log('  REDASH_API_KEY  Your Redash API key');
+  console.log(
+    '  REDASH_<PROFILE>_URL, REDASH_<PROFILE>_API_KEY  Same for a named profile'
+  );
+
+  const profiles = listProfiles();
+  console.log(
+    `\nConfigured profiles: ${profiles.length > 0 ? profiles.join(', ') : 'none'}`
+  );
 }
 
 /**
@@ -60,7 +533,21 @@ async function main() {
   }
 
   try {
-    await cmd.action();
+    const { values, positionals } = parseArgs({
+      args: process.argv.slice(3),
+      options: { ...GLOBAL_OPTIONS, ...cmd.options },
+      allowPositionals: true,
+    });
+    const profile = getString(values, 'profile');
+
+    configureOutput(toOutputOptions(values));
+
+    if (profile) {
+      useProfile(profile);
+      log(`Using profile '${profile}'`);
+    }
+
+    process.exitCode = (await cmd.action(values, positionals)) || 0;
   } catch (error) {
     console.error(
       '\nError:',
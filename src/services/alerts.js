@@ -0,0 +1,342 @@
+/**
+ * Alert sync service
+ * Three-way sync of alerts and their destinations under alerts/<id>/
+ */
+
+import { createClient, RedashApiError } from '../api/redash.js';
+import { generateHash } from './hash.js';
+import { classifyHashes } from './comparison.js';
+import {
+  createItemSyncContext,
+  finishItemSync,
+  handleItemError,
+  itemLabel,
+  syncItem,
+} from './itemSync.js';
+import {
+  ensureAlertsDir,
+  saveAlert,
+  readAlert,
+  findQueryDir,
+  isArchivedQueryDir,
+} from '../utils/fileManager.js';
+import { log, notice } from '../utils/output.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
+ * @typedef {import('../api/redash.js').RedashAlert} RedashAlert
+ * @typedef {import('../api/redash.js').RedashAlertSubscription} RedashAlertSubscription
+ * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ * @typedef {import('../utils/fileManager.js').AlertMetadata} AlertMetadata
+ * @typedef {import('./downloader.js').SyncOptions} SyncOptions
+ */
+
+/**
+ * Editable content of an alert
+ * @typedef {Object} AlertContent
+ * @property {string} name
+ * @property {number} query_id
+ * @property {string} column
+ * @property {string} op
+ * @property {number | string} value
+ * @property {number | null} rearm
+ * @property {number[]} destinations Destination IDs
+ */
+
+/**
+ * An alert and the destinations and users it notifies
+ * @typedef {Object} RemoteAlert
+ * @property {RedashAlert} alert
+ * @property {RedashAlertSubscription[]} subscriptions
+ */
+
+/**
+ * @typedef {import('./itemSync.js').ItemComparison<AlertMetadata>} AlertComparison
+ * @typedef {import('./itemSync.js').ItemSyncer<RemoteAlert, AlertMetadata>} AlertSyncer
+ */
+
+/**
+ * Extract the editable content of a saved alert
+ * @param {AlertMetadata} alert
+ * @returns {AlertContent}
+ */
+function pickAlertContent(alert) {
+  return {
+    name: alert.name,
+    query_id: alert.query_id,
+    column: alert.column,
+    op: alert.op,
+    value: alert.value,
+    rearm: alert.rearm ?? null,
+    destinations: (alert.destinations || []).map(({ id }) => id),
+  };
+}
+
+/**
+ * Generate hash of an alert's editable content
+ * Destination order and names are ignored
+ * @param {AlertContent} content
+ * @returns {string}
+ */
+export function hashAlert(content) {
+  return generateHash(
+    JSON.stringify({
+      name: content.name,
+      query_id: content.query_id,
+      column: content.column,
+      op: content.op,
+      value: content.value,
+      rearm: content.rearm,
+      destinations: [...content.destinations].sort((a, b) => a - b),
+    })
+  );
+}
+
+/**
+ * Build the local file content for a remote alert
+ * Email subscriptions of users are not part of the file
+ * @param {RedashAlert} alert
+ * @param {RedashAlertSubscription[]} subscriptions
+ * @returns {AlertMetadata}
+ */
+function buildAlertMetadata(alert, subscriptions) {
+  /** @type {Omit<AlertMetadata, 'hash' | 'downloaded_at'>} */
+  const metadata = {
+    id: alert.id,
+    name: alert.name,
+    query_id: alert.query.id,
+    query_name: alert.query.name,
+    column: alert.options.column,
+    op: alert.options.op,
+    value: alert.options.value,
+    rearm: alert.rearm ?? null,
+    destinations: subscriptions.flatMap(({ destination }) =>
+      destination ? [{ id: destination.id, name: destination.name }] : []
+    ),
+    state: alert.state,
+    user_id: alert.user?.id ?? null,
+    created_at: alert.created_at,
+    updated_at: alert.updated_at,
+  };
+
+  return {
+    ...metadata,
+    hash: hashAlert(
+      pickAlertContent({ ...metadata, hash: '', downloaded_at: '' })
+    ),
+    downloaded_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Compare a remote alert against its local copy
+ * @param {RedashAlert} alert
+ * @param {RedashAlertSubscription[]} subscriptions
+ * @returns {Promise<AlertComparison>}
+ */
+export async function compareAlert(alert, subscriptions) {
+  const remote = buildAlertMetadata(alert, subscriptions);
+  const local = await readAlert(alert.id);
+
+  if (!local) {
+    return {
+      action: 'new',
+      local: null,
+      remote,
+      localHash: null,
+      cachedHash: null,
+      remoteHash: remote.hash,
+    };
+  }
+
+  const localHash = hashAlert(pickAlertContent(local));
+
+  return {
+    action: classifyHashes(localHash, local.hash, remote.hash),
+    local,
+    remote,
+    localHash,
+    cachedHash: local.hash,
+    remoteHash: remote.hash,
+  };
+}
+
+/**
+ * Upload a local alert: its condition and rearm setting, then destinations
+ * Other options set in the UI, such as a custom subject, are kept
+ * @param {RedashClient} client
+ * @param {AlertMetadata} local
+ * @param {RedashAlert} remote
+ * @param {RedashAlertSubscription[]} subscriptions
+ * @returns {Promise<AlertMetadata>} Alert as stored after the upload
+ */
+async function uploadAlert(client, local, remote, subscriptions) {
+  await client.updateAlert(remote.id, {
+    name: local.name,
+    query_id: local.query_id,
+    options: {
+      ...remote.options,
+      column: local.column,
+      op: local.op,
+      value: local.value,
+    },
+    rearm: local.rearm ?? null,
+  });
+
+  const destinationIds = new Set(local.destinations.map(({ id }) => id));
+  /** @type {Set<number>} */
+  const subscribed = new Set();
+
+  for (const subscription of subscriptions) {
+    if (!subscription.destination) {
+      continue;
+    } else if (destinationIds.has(subscription.destination.id)) {
+      subscribed.add(subscription.destination.id);
+    } else {
+      await client.deleteAlertSubscription(remote.id, subscription.id);
+    }
+  }
+
+  for (const destinationId of destinationIds) {
+    if (!subscribed.has(destinationId)) {
+      await client.createAlertSubscription(remote.id, destinationId);
+    }
+  }
+
+  return buildAlertMetadata(
+    await client.getAlert(remote.id),
+    await client.getAlertSubscriptions(remote.id)
+  );
+}
+
+/**
+ * Find problems with the query an alert checks: missing from queries/,
+ * archived, or without the alert's column in its latest result
+ * @param {RedashClient} client
+ * @param {AlertMetadata} alert
+ * @param {RedashQuery} remoteQuery Query of the alert in Redash
+ * @returns {Promise<string[]>}
+ */
+export async function findAlertProblems(client, alert, remoteQuery) {
+  /** @type {string[]} */
+  const problems = [];
+  const queryDir = await findQueryDir(alert.query_id);
+
+  try {
+    // The local file may point at a query the alert does not use yet
+    const query =
+      remoteQuery.id === alert.query_id
+        ? remoteQuery
+        : await client.getQuery(alert.query_id);
+
+    if (query.is_archived || (queryDir && isArchivedQueryDir(queryDir))) {
+      problems.push(`uses query ${alert.query_id}, which is archived`);
+    } else if (!queryDir) {
+      problems.push(`uses query ${alert.query_id}, which is not in queries/`);
+    }
+
+    if (query.latest_query_data_id) {
+      const result = await client.getQueryResult(query.latest_query_data_id);
+      const columns = result.data.columns.map(({ name }) => name);
+
+      if (!columns.includes(alert.column)) {
+        problems.push(
+          `column '${alert.column}' is not in the latest result of query ${alert.query_id} (${columns.join(', ') || 'no columns'})`
+        );
+      }
+    }
+  } catch (error) {
+    if (!(error instanceof RedashApiError) || error.isAuthError) {
+      throw error;
+    }
+    problems.push(
+      `query ${alert.query_id} could not be checked: ${error.message}`
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Create the syncer of alerts, which are fetched with their subscriptions
+ * @param {RedashClient} client
+ * @returns {AlertSyncer}
+ */
+function createAlertSyncer(client) {
+  return {
+    kind: 'alert',
+    describe: ({ alert }) => ({ id: alert.id, name: alert.name }),
+    url: ({ alert }) => `${client.baseUrl}/alerts/${alert.id}`,
+    compare: ({ alert, subscriptions }) => compareAlert(alert, subscriptions),
+    pickContent: pickAlertContent,
+    save: ({ alert }, remote) => saveAlert(alert.id, remote),
+    upload: async ({ alert, subscriptions }, local) => {
+      await saveAlert(
+        alert.id,
+        await uploadAlert(client, local, alert, subscriptions)
+      );
+    },
+    recover: async ({ alert }, local, comparison) => {
+      const remote = buildAlertMetadata(
+        await client.getAlert(alert.id),
+        await client.getAlertSubscriptions(alert.id)
+      );
+
+      // Only part of the upload was applied: the local changes are kept, and
+      // compared with what Redash now has on the next sync
+      if (remote.hash !== comparison.remoteHash) {
+        await saveAlert(alert.id, {
+          ...local,
+          hash: remote.hash,
+          updated_at: remote.updated_at,
+        });
+        notice(
+          `  [WARN] ${itemLabel('alert', alert.id, alert.name)} - only partly uploaded, the rest will be offered again on the next sync`
+        );
+      }
+    },
+    check: async ({ alert }) => {
+      const saved = await readAlert(alert.id);
+      return saved ? findAlertProblems(client, saved, alert.query) : [];
+    },
+  };
+}
+
+/**
+ * Sync all alerts with Redash
+ * Uses the same prompts, policies and output as the query sync
+ * @param {SyncOptions} [options]
+ * @returns {Promise<number>} Exit code, see EXIT_CODES
+ */
+export async function syncAlerts(options = {}) {
+  log('Connecting to Redash API...');
+
+  const client = createClient();
+  const context = createItemSyncContext(options);
+  const syncer = createAlertSyncer(client);
+
+  await ensureAlertsDir();
+
+  log('Fetching alerts...');
+
+  const alerts = await client.getAlerts();
+
+  context.counts.total = alerts.length;
+
+  for (const summary of alerts) {
+    try {
+      const alert = await client.getAlert(summary.id);
+      const subscriptions = await client.getAlertSubscriptions(alert.id);
+
+      await syncItem(context, syncer, { alert, subscriptions });
+    } catch (error) {
+      handleItemError(context, 'alert', summary, error);
+    }
+
+    if (context.session.userQuit) {
+      break;
+    }
+  }
+
+  return finishItemSync(context, 'alert');
+}
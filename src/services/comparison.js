@@ -0,0 +1,153 @@
+/**
+ * Three-way comparison of local, cached and remote query state
+ */
+
+import { hashQuery, hashSql } from './hash.js';
+import {
+  pickEditableMetadata,
+  readEditableMetadata,
+  hashMetadata,
+} from './metadata.js';
+import {
+  readQueryBase,
+  readQueryMetadata,
+  readQuerySql,
+} from '../utils/fileManager.js';
+import { getNormalization } from '../utils/normalize.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ * @typedef {import('../utils/fileManager.js').QueryMetadata} QueryMetadata
+ */
+
+/**
+ * @typedef {'new' | 'unchanged' | 'remote-updated' | 'local-modified' | 'conflict'} SyncAction
+ */
+
+/**
+ * @typedef {import('./metadata.js').EditableMetadata} EditableMetadata
+ */
+
+/**
+ * @typedef {Object} QueryComparison
+ * @property {SyncAction} action What to do with the SQL
+ * @property {SyncAction} metadataAction What to do with the editable metadata
+ * @property {QueryMetadata | null} metadata Metadata cached by the last sync
+ * @property {string | null} localSql
+ * @property {string} remoteSql
+ * @property {string | null} localHash
+ * @property {string | null} cachedHash
+ * @property {string} remoteHash
+ * @property {EditableMetadata | null} localFields
+ * @property {EditableMetadata} remoteFields
+ * @property {string | null} localMetadataHash
+ * @property {string | null} cachedMetadataHash
+ * @property {string} remoteMetadataHash
+ */
+
+/**
+ * Decide what a sync should do given the three hashes
+ * @param {string | null} localHash
+ * @param {string} cachedHash
+ * @param {string} remoteHash
+ * @returns {SyncAction}
+ */
+export function classifyHashes(localHash, cachedHash, remoteHash) {
+  if (localHash === cachedHash && cachedHash === remoteHash) {
+    // All hashes equal - nothing to do
+    return 'unchanged';
+  } else if (localHash === cachedHash) {
+    // Local and cached match, but remote changed
+    return 'remote-updated';
+  } else if (cachedHash === remoteHash) {
+    // Cached and remote match, but local changed
+    return 'local-modified';
+  }
+  // All three differ
+  return 'conflict';
+}
+
+/**
+ * Get the hash of the SQL as of the last sync under the current normalization
+ * Hashes cached under other REDASH_NORMALIZE steps are recomputed from the
+ * base version, or from the local SQL if it is unchanged since, so changing
+ * the steps doesn't turn queries into local modifications or conflicts
+ * @param {number} queryId
+ * @param {QueryMetadata} metadata
+ * @param {string | null} localSql
+ * @returns {Promise<string>}
+ */
+async function getCachedHash(queryId, metadata, localSql) {
+  const cachedNormalization = metadata.normalization || '';
+
+  if (cachedNormalization === getNormalization()) {
+    return metadata.hash;
+  }
+
+  for (const sql of [await readQueryBase(queryId), localSql]) {
+    if (sql !== null && hashSql(sql, cachedNormalization) === metadata.hash) {
+      return hashSql(sql);
+    }
+  }
+
+  return metadata.hash;
+}
+
+/**
+ * Compare a remote query against its local copy
+ * @param {RedashQuery} query
+ * @returns {Promise<QueryComparison>}
+ */
+export async function compareQuery(query) {
+  const remoteSql = query.query || '';
+  const remoteHash = hashQuery(query);
+  const remoteFields = pickEditableMetadata(query);
+  const remoteMetadataHash = hashMetadata(remoteFields);
+  const metadata = await readQueryMetadata(query.id);
+
+  if (!metadata) {
+    return {
+      action: 'new',
+      metadataAction: 'new',
+      metadata: null,
+      localSql: null,
+      remoteSql,
+      localHash: null,
+      cachedHash: null,
+      remoteHash,
+      localFields: null,
+      remoteFields,
+      localMetadataHash: null,
+      cachedMetadataHash: null,
+      remoteMetadataHash,
+    };
+  }
+
+  const localSql = await readQuerySql(query.id);
+  const localHash = localSql ? hashSql(localSql) : null;
+  const cachedHash = await getCachedHash(query.id, metadata, localSql);
+  const localFields = readEditableMetadata(metadata);
+  const localMetadataHash = hashMetadata(localFields);
+  // Files from before metadata tracking count as locally unmodified
+  const cachedMetadataHash = metadata.metadata_hash || localMetadataHash;
+
+  return {
+    action: classifyHashes(localHash, cachedHash, remoteHash),
+    metadataAction: classifyHashes(
+      localMetadataHash,
+      cachedMetadataHash,
+      remoteMetadataHash
+    ),
+    metadata,
+    localSql,
+    remoteSql,
+    localHash,
+    cachedHash,
+    remoteHash,
+    localFields,
+    remoteFields,
+    localMetadataHash,
+    cachedMetadataHash,
+    remoteMetadataHash,
+  };
+}
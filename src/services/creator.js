@@ -0,0 +1,194 @@
+/**
+ * Query creation service
+ * Creates Redash queries from local draft directories
+ */
+
+import { createClient, RedashApiError } from '../api/redash.js';
+import { hashQuery } from './hash.js';
+import { buildMetadata, pickEditableMetadata } from './metadata.js';
+import { recordVersion } from './history.js';
+import {
+  ensureQueriesDir,
+  getDraftDir,
+  listQueryDirs,
+  listQueryDrafts,
+  readQueryDraft,
+  renameDraftDir,
+  saveDraftCreatedId,
+  saveQuery,
+} from '../utils/fileManager.js';
+import { formatSql } from '../utils/formatter.js';
+import { notice } from '../utils/output.js';
+import { checkSqlSafety, fetchDataSourceTypes } from './safety.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
+ * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ */
+
+/**
+ * @typedef {Object} CreateOptions
+ * @property {boolean} [allowUnsafe] Create queries whose SQL fails the safety checks
+ */
+
+/**
+ * Move a draft to the directory of the query created from it, saving the
+ * query's files there
+ * @param {string} draftName
+ * @param {RedashQuery} created
+ * @param {string} sql
+ * @returns {Promise<void>}
+ */
+async function saveCreatedQuery(draftName, created, sql) {
+  const metadata = buildMetadata(created, hashQuery(created));
+
+  await renameDraftDir(draftName, metadata);
+  await saveQuery(created.id, sql, metadata);
+  await recordVersion(
+    created.id,
+    { sql, fields: pickEditableMetadata(created) },
+    'upload'
+  );
+}
+
+/**
+ * Create a Redash query from a draft directory
+ * The SQL is formatted first if a formatter is configured, then checked
+ * for safety. On success the new query's ID is recorded in the draft's
+ * query.json, then the directory is moved to the new query's directory and
+ * its query.json is replaced with full metadata. A draft with a recorded ID
+ * is only moved
+ * @param {RedashClient} client
+ * @param {string} draftName
+ * @param {CreateOptions} [options]
+ * @returns {Promise<RedashQuery>}
+ */
+export async function createQueryFromDraft(client, draftName, options = {}) {
+  const owner = [...(await listQueryDirs())].find(
+    ([, queryDir]) => queryDir === getDraftDir(draftName)
+  );
+
+  if (owner) {
+    throw new Error(
+      `queries/${draftName} already belongs to query ${owner[0]}`
+    );
+  }
+
+  const { sql: draftSql, draft } = await readQueryDraft(draftName);
+
+  if (draft && typeof draft.created_id === 'number') {
+    // Created by an earlier run that failed to move the directory
+    const queryId = draft.created_id;
+    /** @type {RedashQuery} */
+    let created;
+
+    try {
+      created = await client.getQuery(queryId);
+    } catch (error) {
+      if (!(error instanceof RedashApiError) || error.isAuthError) {
+        throw error;
+      }
+      throw new Error(
+        `queries/${draftName} was created as query ${queryId}, which could not be fetched (${error.message}). Remove "created_id" from its query.json to create it again`
+      );
+    }
+
+    notice(
+      `  [RESUMED] queries/${draftName} was already created as query ${queryId}, moving it`
+    );
+    await saveCreatedQuery(draftName, created, created.query);
+    return created;
+  }
+
+  if (!draftSql || !draftSql.trim()) {
+    throw new Error(`queries/${draftName}/query.sql is missing or empty`);
+  }
+  if (!draft || typeof draft.name !== 'string' || !draft.name.trim()) {
+    throw new Error(`queries/${draftName}/query.json must contain a "name"`);
+  }
+  if (typeof draft.data_source_id !== 'number') {
+    throw new Error(
+      `queries/${draftName}/query.json must contain a numeric "data_source_id"`
+    );
+  }
+
+  const sql = await formatSql(draftSql);
+  const dataSourceTypes = await fetchDataSourceTypes(client);
+  const errors = checkSqlSafety(
+    sql,
+    null,
+    dataSourceTypes.get(draft.data_source_id) ?? null
+  ).map((issue) => issue.message);
+
+  if (errors.length > 0 && !options.allowUnsafe) {
+    throw new Error(
+      `queries/${draftName}/query.sql failed the safety checks (${errors.join('; ')}), pass --allow-unsafe to create it anyway`
+    );
+  } else if (errors.length > 0) {
+    notice(
+      `  [UNSAFE] queries/${draftName} - creating anyway (--allow-unsafe): ${errors.join('; ')}`
+    );
+  }
+
+  const created = await client.createQuery({
+    name: draft.name,
+    query: sql,
+    data_source_id: draft.data_source_id,
+    description: draft.description || '',
+    tags: draft.tags || [],
+    options: { parameters: draft.parameters || [] },
+    schedule: draft.schedule || null,
+  });
+
+  await saveDraftCreatedId(draftName, created.id);
+  await saveCreatedQuery(draftName, created, sql);
+
+  return created;
+}
+
+/**
+ * Create Redash queries from draft directories
+ * @param {string[]} [draftNames] Drafts to create (default: all drafts)
+ * @param {CreateOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function createQueries(draftNames = [], options = {}) {
+  console.log('Connecting to Redash API...');
+
+  const client = createClient();
+
+  await ensureQueriesDir();
+
+  const drafts = draftNames.length > 0 ? draftNames : await listQueryDrafts();
+
+  if (drafts.length === 0) {
+    console.log('No draft queries found.');
+    return;
+  }
+
+  let created = 0;
+  let failed = 0;
+
+  for (const draftName of drafts) {
+    try {
+      const query = await createQueryFromDraft(client, draftName, options);
+      created++;
+      console.log(
+        `  [CREATED] queries/${draftName} → Query ${query.id}: ${query.name}`
+      );
+    } catch (error) {
+      failed++;
+      console.error(
+        `  [ERROR] Failed to create query from queries/${draftName}: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  console.log(`\nCreate complete:`);
+  console.log(`  Created: ${created}`);
+  console.log(`  Failed: ${failed}`);
+
+  if (failed > 0) {
+    throw new Error(`${failed} draft(s) could not be created`);
+  }
+}
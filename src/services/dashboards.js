@@ -0,0 +1,375 @@
+/**
+ * Dashboard sync service
+ * Three-way sync of dashboards and their widgets under dashboards/<id>/
+ */
+
+import { createClient } from '../api/redash.js';
+import { generateHash } from './hash.js';
+import { classifyHashes } from './comparison.js';
+import {
+  createItemSyncContext,
+  finishItemSync,
+  handleItemError,
+  itemLabel,
+  syncItem,
+} from './itemSync.js';
+import {
+  ensureDashboardsDir,
+  saveDashboard,
+  readDashboard,
+  queryExists,
+} from '../utils/fileManager.js';
+import { log, notice } from '../utils/output.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
+ * @typedef {import('../api/redash.js').RedashDashboard} RedashDashboard
+ * @typedef {import('../api/redash.js').RedashWidget} RedashWidget
+ * @typedef {import('../utils/fileManager.js').DashboardMetadata} DashboardMetadata
+ * @typedef {import('../utils/fileManager.js').DashboardWidget} DashboardWidget
+ * @typedef {import('./downloader.js').SyncOptions} SyncOptions
+ * @typedef {import('./itemSync.js').ItemComparison<DashboardMetadata>} DashboardComparison
+ * @typedef {import('./itemSync.js').ItemSyncer<RedashDashboard, DashboardMetadata>} DashboardSyncer
+ */
+
+/**
+ * Editable content of a dashboard
+ * @typedef {Object} DashboardContent
+ * @property {string} name
+ * @property {string[]} tags
+ * @property {boolean} dashboard_filters_enabled
+ * @property {DashboardWidget[]} widgets
+ */
+
+/**
+ * @typedef {Object} MissingQueryReference
+ * @property {DashboardWidget} widget
+ * @property {number} queryId
+ */
+
+/**
+ * Extract the stored fields of a widget
+ * @param {RedashWidget} widget
+ * @returns {DashboardWidget}
+ */
+export function pickWidget(widget) {
+  return {
+    id: widget.id,
+    visualization_id: widget.visualization ? widget.visualization.id : null,
+    query_id: widget.visualization?.query?.id ?? null,
+    text: widget.text || '',
+    width: widget.width,
+    options: widget.options || {},
+  };
+}
+
+/**
+ * Extract the editable content of a saved dashboard
+ * @param {DashboardMetadata} dashboard
+ * @returns {DashboardContent}
+ */
+function pickDashboardContent(dashboard) {
+  return {
+    name: dashboard.name,
+    tags: dashboard.tags || [],
+    dashboard_filters_enabled: dashboard.dashboard_filters_enabled || false,
+    widgets: dashboard.widgets || [],
+  };
+}
+
+/**
+ * Generate hash of a dashboard's editable content
+ * Tag and widget order are ignored, as is the informational query_id
+ * @param {DashboardContent} content
+ * @returns {string}
+ */
+export function hashDashboard(content) {
+  const widgets = content.widgets
+    .map((widget) => ({
+      id: widget.id,
+      visualization_id: widget.visualization_id,
+      text: widget.text,
+      width: widget.width,
+      options: widget.options,
+    }))
+    .sort((a, b) => (a.id ?? Infinity) - (b.id ?? Infinity));
+
+  return generateHash(
+    JSON.stringify({
+      name: content.name,
+      tags: [...content.tags].sort(),
+      dashboard_filters_enabled: content.dashboard_filters_enabled,
+      widgets,
+    })
+  );
+}
+
+/**
+ * Build the local file content for a remote dashboard
+ * @param {RedashDashboard} dashboard Dashboard including its widgets
+ * @returns {DashboardMetadata}
+ */
+function buildDashboardMetadata(dashboard) {
+  /** @type {Omit<DashboardMetadata, 'hash' | 'downloaded_at'>} */
+  const metadata = {
+    id: dashboard.id,
+    slug: dashboard.slug,
+    name: dashboard.name,
+    tags: dashboard.tags || [],
+    dashboard_filters_enabled: dashboard.dashboard_filters_enabled || false,
+    is_archived: dashboard.is_archived || false,
+    is_draft: dashboard.is_draft || false,
+    user_id: dashboard.user_id,
+    created_at: dashboard.created_at,
+    updated_at: dashboard.updated_at,
+    widgets: (dashboard.widgets || []).map(pickWidget),
+  };
+
+  return {
+    ...metadata,
+    hash: hashDashboard(
+      pickDashboardContent({ ...metadata, hash: '', downloaded_at: '' })
+    ),
+    downloaded_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Compare a remote dashboard against its local copy
+ * @param {RedashDashboard} dashboard Dashboard including its widgets
+ * @returns {Promise<DashboardComparison>}
+ */
+export async function compareDashboard(dashboard) {
+  const remote = buildDashboardMetadata(dashboard);
+  const local = await readDashboard(dashboard.id);
+
+  if (!local) {
+    return {
+      action: 'new',
+      local: null,
+      remote,
+      localHash: null,
+      cachedHash: null,
+      remoteHash: remote.hash,
+    };
+  }
+
+  const localHash = hashDashboard(pickDashboardContent(local));
+
+  return {
+    action: classifyHashes(localHash, local.hash, remote.hash),
+    local,
+    remote,
+    localHash,
+    cachedHash: local.hash,
+    remoteHash: remote.hash,
+  };
+}
+
+/**
+ * Whether uploading a local widget creates a new widget: it has no known
+ * ID, or points at a different visualization than the remote widget
+ * @param {DashboardWidget} widget
+ * @param {Map<number, DashboardWidget>} remoteWidgets Remote widgets by ID
+ * @returns {boolean}
+ */
+function needsNewWidget(widget, remoteWidgets) {
+  const existing =
+    widget.id !== null ? remoteWidgets.get(widget.id) : undefined;
+  return !existing || existing.visualization_id !== widget.visualization_id;
+}
+
+/**
+ * Give the local widgets that an upload created the IDs Redash assigned
+ * Widgets are created in file order, so each one takes the first widget
+ * that is new in Redash and shows the same visualization or text
+ * @param {DashboardWidget[]} widgets Local widgets
+ * @param {RedashDashboard} before Dashboard before the upload
+ * @param {DashboardMetadata} after Dashboard after the upload
+ * @returns {DashboardWidget[]}
+ */
+function assignCreatedWidgetIds(widgets, before, after) {
+  const remoteWidgets = new Map(
+    (before.widgets || []).map((widget) => [widget.id, pickWidget(widget)])
+  );
+  const created = after.widgets.filter(
+    ({ id }) => id !== null && !remoteWidgets.has(id)
+  );
+
+  return widgets.map((widget) => {
+    if (!needsNewWidget(widget, remoteWidgets)) {
+      return widget;
+    }
+
+    const index = created.findIndex(
+      (candidate) =>
+        candidate.visualization_id === widget.visualization_id &&
+        candidate.text === widget.text
+    );
+    const [match] = index === -1 ? [] : created.splice(index, 1);
+
+    return match ? { ...widget, id: match.id } : widget;
+  });
+}
+
+/**
+ * Upload a local dashboard: its widgets first, then name, tags and filters
+ * Widgets without a known ID, or pointing at a different visualization,
+ * are created; remote widgets missing locally are removed
+ * @param {RedashClient} client
+ * @param {DashboardMetadata} local
+ * @param {RedashDashboard} remote Dashboard including its widgets
+ * @returns {Promise<RedashDashboard>} Dashboard as stored after the upload
+ */
+async function uploadDashboard(client, local, remote) {
+  const remoteWidgets = new Map(
+    (remote.widgets || []).map((widget) => [widget.id, pickWidget(widget)])
+  );
+  /** @type {Set<number>} */
+  const kept = new Set();
+
+  for (const widget of local.widgets) {
+    const existing =
+      widget.id !== null ? remoteWidgets.get(widget.id) : undefined;
+
+    if (
+      widget.id !== null &&
+      existing &&
+      !needsNewWidget(widget, remoteWidgets)
+    ) {
+      kept.add(widget.id);
+
+      if (
+        JSON.stringify([widget.text, widget.width, widget.options]) !==
+        JSON.stringify([existing.text, existing.width, existing.options])
+      ) {
+        await client.updateWidget(widget.id, {
+          text: widget.text,
+          width: widget.width,
+          options: widget.options,
+        });
+      }
+    } else {
+      await client.createWidget({
+        dashboard_id: remote.id,
+        visualization_id: widget.visualization_id,
+        text: widget.text,
+        width: widget.width,
+        options: widget.options,
+      });
+    }
+  }
+
+  for (const widgetId of remoteWidgets.keys()) {
+    if (!kept.has(widgetId)) {
+      await client.deleteWidget(widgetId);
+    }
+  }
+
+  await client.updateDashboard(remote.id, {
+    name: local.name,
+    tags: local.tags,
+    dashboard_filters_enabled: local.dashboard_filters_enabled,
+  });
+
+  return client.getDashboard(remote.id);
+}
+
+/**
+ * Find widgets that use queries missing from the local queries directory
+ * @param {DashboardMetadata} dashboard
+ * @returns {Promise<MissingQueryReference[]>}
+ */
+export async function findMissingQueries(dashboard) {
+  /** @type {MissingQueryReference[]} */
+  const missing = [];
+
+  for (const widget of dashboard.widgets || []) {
+    if (widget.query_id !== null && !(await queryExists(widget.query_id))) {
+      missing.push({ widget, queryId: widget.query_id });
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * Create the syncer of dashboards, which are fetched with their widgets
+ * @param {RedashClient} client
+ * @returns {DashboardSyncer}
+ */
+function createDashboardSyncer(client) {
+  return {
+    kind: 'dashboard',
+    describe: (dashboard) => ({ id: dashboard.id, name: dashboard.name }),
+    url: (dashboard) => `${client.baseUrl}/dashboards/${dashboard.id}`,
+    compare: compareDashboard,
+    pickContent: pickDashboardContent,
+    save: (dashboard, remote) => saveDashboard(dashboard.id, remote),
+    upload: async (dashboard, local) => {
+      const updated = await uploadDashboard(client, local, dashboard);
+      await saveDashboard(dashboard.id, buildDashboardMetadata(updated));
+    },
+    recover: async (dashboard, local, comparison) => {
+      const remote = buildDashboardMetadata(
+        await client.getDashboard(dashboard.id)
+      );
+
+      // Only part of the upload was applied: the local changes are kept, with
+      // the IDs of the widgets already created, so they aren't created twice
+      if (remote.hash !== comparison.remoteHash) {
+        await saveDashboard(dashboard.id, {
+          ...local,
+          widgets: assignCreatedWidgetIds(local.widgets, dashboard, remote),
+          hash: remote.hash,
+          updated_at: remote.updated_at,
+        });
+        notice(
+          `  [WARN] ${itemLabel('dashboard', dashboard.id, dashboard.name)} - only partly uploaded, the rest will be offered again on the next sync`
+        );
+      }
+    },
+    check: async (dashboard) => {
+      const saved = await readDashboard(dashboard.id);
+
+      return (saved ? await findMissingQueries(saved) : []).map(
+        ({ widget, queryId }) =>
+          `widget ${widget.id ?? '(new)'} uses query ${queryId}, which is not in queries/`
+      );
+    },
+  };
+}
+
+/**
+ * Sync all dashboards with Redash
+ * Uses the same prompts, policies and output as the query sync
+ * @param {SyncOptions} [options]
+ * @returns {Promise<number>} Exit code, see EXIT_CODES
+ */
+export async function syncDashboards(options = {}) {
+  log('Connecting to Redash API...');
+
+  const client = createClient();
+  const context = createItemSyncContext(options);
+  const syncer = createDashboardSyncer(client);
+
+  await ensureDashboardsDir();
+
+  log('Fetching dashboards...');
+
+  for await (const summary of client.getAllDashboards()) {
+    context.counts.total++;
+
+    try {
+      await syncItem(context, syncer, await client.getDashboard(summary.id));
+    } catch (error) {
+      handleItemError(context, 'dashboard', summary, error);
+    }
+
+    if (context.session.userQuit) {
+      break;
+    }
+  }
+
+  return finishItemSync(context, 'dashboard');
+}
@@ -2,449 +2,1450 @@
  * Query downloader service
  */
 
-import { createClient } from '../api/redash.js';
-import { hashQuery, generateHash } from './hash.js';
+import path from 'path';
+import { createClient, RedashApiError } from '../api/redash.js';
+import { hashQuery, hashSql } from './hash.js';
+import { compareQuery } from './comparison.js';
+import {
+  buildMetadata,
+  pickEditableMetadata,
+  readEditableMetadata,
+  hashMetadata,
+  toQueryUpdate,
+} from './metadata.js';
+import { createQueryFromDraft } from './creator.js';
+import { mergeThreeWay, hasConflictMarkers } from './merge.js';
+import { warnParameterMismatch } from './parameters.js';
+import {
+  compareVisualizations,
+  needsVisualizationDecision,
+  syncVisualizations,
+} from './visualizations.js';
+import { fetchQueries, isScoped, listScopedDrafts } from './scope.js';
+import { recordVersion } from './history.js';
+import { recordUpload, completeUploads, resumeUploads } from './journal.js';
+import {
+  createSession,
+  confirmUpload,
+  resolveConflict,
+  shouldMarkConflicts,
+} from './session.js';
 import {
   ensureQueriesDir,
   saveQuery,
-  readQueryMetadata,
+  saveQueryMetadata,
+  readQueryBase,
   readQuerySql,
+  readQueryMetadata,
+  readSyncState,
+  saveSyncState,
+  readSyncJournal,
+  writeQuerySql,
+  getQueryFilesMtime,
+  getQueriesDir,
+  placeQueryDir,
+  listQueryDirs,
+  isArchivedQueryDir,
 } from '../utils/fileManager.js';
-import readline from 'readline';
-import { spawn } from 'child_process';
-import fs from 'fs/promises';
-import os from 'os';
-import path from 'path';
+import { showDiff, showJsonDiff } from '../utils/diff.js';
+import { runPool } from '../utils/pool.js';
+import { formatSql } from '../utils/formatter.js';
+import { checkSqlSafety, fetchDataSourceTypes } from './safety.js';
+import { detail, log, notice } from '../utils/output.js';
+import {
+  countQueryChanges,
+  getExitCode,
+  reportQuery,
+  reportSummary,
+} from './report.js';
 
 /**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
  * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ * @typedef {import('./comparison.js').QueryComparison} QueryComparison
+ * @typedef {import('./metadata.js').LocalMetadata} LocalMetadata
+ * @typedef {import('./session.js').SyncSession} SyncSession
+ * @typedef {import('./session.js').UploadPolicy} UploadPolicy
+ * @typedef {import('./session.js').ConflictPolicy} ConflictPolicy
+ * @typedef {import('./scope.js').SyncScope} SyncScope
+ * @typedef {import('./visualizations.js').VisualizationComparison} VisualizationComparison
+ * @typedef {import('../utils/fileManager.js').SyncState} SyncState
+ * @typedef {import('../utils/fileManager.js').SyncJournal} SyncJournal
+ * @typedef {import('./journal.js').PendingUpload} PendingUpload
  * @typedef {import('../utils/fileManager.js').QueryMetadata} QueryMetadata
+ * @typedef {import('./report.js').QueryAction} QueryAction
+ * @typedef {import('./report.js').QueryEvent} QueryEvent
  */
 
 /**
- * @typedef {'yes' | 'skip' | 'yes-all' | 'skip-all' | 'quit'} PromptResponse
+ * @typedef {Object} SyncOptions
+ * @property {UploadPolicy} [upload] How to handle local modifications
+ * @property {ConflictPolicy} [onConflict] How to resolve conflicts
+ * @property {boolean} [failOnConflict] Print an error if conflicts are left unresolved, which exit with the conflicts code either way
+ * @property {boolean} [exitCode] Exit with the changed code if changes were applied
+ * @property {SyncScope} [scope] Queries and drafts to process (default: all of your own)
+ * @property {boolean} [full] Compare every query, even if not modified since the last sync
+ * @property {number} [concurrency] Queries compared and downloaded at once (default: 8)
+ * @property {boolean} [archiveDeleted] Offer to archive queries in Redash whose local directory was deleted
+ * @property {boolean} [allowUnsafe] Upload SQL that fails the safety checks
  */
 
 /**
- * @typedef {'local' | 'remote' | 'skip' | 'local-all' | 'remote-all'} ConflictResponse
+ * @typedef {Object} SyncCounts
+ * @property {number} downloaded
+ * @property {number} created
+ * @property {number} skipped
+ * @property {number} notModified Skipped without reading files, per the sync state
+ * @property {number} updatedFromRemote
+ * @property {number} updatedToRemote
+ * @property {number} metadataFromRemote
+ * @property {number} metadataToRemote
+ * @property {number} visualizationsFromRemote
+ * @property {number} visualizationsToRemote
+ * @property {number} conflicts
+ * @property {number} failed Queries that could not be synced because of API errors
+ * @property {number} blocked Uploads stopped by the safety checks
+ * @property {number} missing Local queries archived or deleted in Redash
+ * @property {number} archivedRemotely Queries archived in Redash after a local deletion
+ * @property {number} total
  */
 
 /**
- * Show diff between local and remote content using git diff or diff command
- * @param {string} localContent
- * @param {string} remoteContent
- * @param {string} label
- * @returns {Promise<void>}
+ * @typedef {Object} SyncContext
+ * @property {RedashClient} client
+ * @property {SyncSession} session
+ * @property {SyncCounts} counts
+ * @property {SyncState} state
+ * @property {SyncJournal} journal Uploads not saved locally yet
+ * @property {boolean} archiveDeleted
+ * @property {boolean} allowUnsafe
+ * @property {Promise<Map<number, string>> | null} dataSourceTypes Types of the data sources by ID, fetched on the first upload
  */
-async function showDiff(localContent, remoteContent, label) {
-  // Create temporary files for diffing
-  const tmpDir = os.tmpdir();
-  const localFile = path.join(tmpDir, `redash-local-${Date.now()}.sql`);
-  const remoteFile = path.join(tmpDir, `redash-remote-${Date.now()}.sql`);
 
-  try {
-    await fs.writeFile(localFile, localContent, 'utf8');
-    await fs.writeFile(remoteFile, remoteContent, 'utf8');
+/**
+ * Comparison of a remote query and its visualizations with the local files
+ * @typedef {Object} QueryPlan
+ * @property {RedashQuery} query
+ * @property {QueryComparison} comparison
+ * @property {VisualizationComparison[]} visualizations
+ * @property {boolean} deletedLocally Synced before, but the local directory was deleted since (only with archiveDeleted)
+ */
 
-    console.log(`\n  [DIFF] Changes for ${label}:`);
+const DEFAULT_CONCURRENCY = 8;
 
-    // Try git diff first, then fall back to diff
-    const diffCommand = await new Promise((resolve) => {
-      const gitTest = spawn('git', ['--version']);
-      gitTest.on('close', (code) => {
-        resolve(code === 0 ? 'git' : 'diff');
-      });
-      gitTest.on('error', () => resolve('diff'));
-    });
+/**
+ * A query changed in Redash between being compared and being uploaded
+ */
+class RemoteChangedError extends Error {
+  /**
+   * @param {RedashQuery} query Latest remote state of the query
+   */
+  constructor(query) {
+    super(`Query ${query.id} changed in Redash since it was compared`);
+    this.name = 'RemoteChangedError';
+    this.query = query;
+  }
+}
 
-    return new Promise((resolve) => {
-      const args =
-        diffCommand === 'git'
-          ? [
-              'diff',
-              '--no-index',
-              '--color=always',
-              '--',
-              remoteFile,
-              localFile,
-            ]
-          : ['-u', remoteFile, localFile];
-
-      const proc = spawn(diffCommand, args);
-
-      proc.stdout.on('data', (data) => {
-        // Filter out the temp file paths from diff output
-        const output = data
-          .toString()
-          .split('\n')
-          .filter(
-            /** @param {string} line */
-            (line) => {
-              // Skip lines that show temp file paths
-              return !(
-                line.startsWith('---') ||
-                line.startsWith('+++') ||
-                line.startsWith('diff --git')
-              );
-            }
-          )
-          .join('\n');
-
-        if (output.trim()) {
-          process.stdout.write(output);
-        }
-      });
+/**
+ * Upload to a query only if Redash still has the version that was compared
+ * The remote hashes are checked again right before uploading, and the
+ * upload sends the query version so Redash rejects it if someone saves in
+ * between. Uploads are journaled until the query's files are saved
+ * @param {SyncContext} context
+ * @param {RedashQuery} query As compared and shown to the user
+ * @param {PendingUpload} pending What is uploaded
+ * @param {(current: RedashQuery) => Promise<RedashQuery>} upload
+ * @returns {Promise<RedashQuery>}
+ * @throws {RemoteChangedError} If the query changed in Redash
+ */
+async function uploadUnlessChanged(context, query, pending, upload) {
+  const { client } = context;
+  const current = await client.getQuery(query.id);
 
-      proc.stderr.on('data', (_data) => {
-        // Ignore stderr for diff (exit code 1 is normal when files differ)
-      });
+  if (
+    hashQuery(current) !== hashQuery(query) ||
+    hashMetadata(pickEditableMetadata(current)) !==
+      hashMetadata(pickEditableMetadata(query))
+  ) {
+    throw new RemoteChangedError(current);
+  }
 
-      proc.on('close', async () => {
-        // Clean up temp files
-        try {
-          await fs.unlink(localFile);
-          await fs.unlink(remoteFile);
-        } catch (error) {
-          // Ignore cleanup errors
-        }
-        console.log(''); // Add blank line after diff
-        resolve();
-      });
-    });
+  await recordUpload(context.journal, query.id, pending);
+
+  try {
+    return await upload(current);
   } catch (error) {
-    // If diff fails, just continue without showing it
-    console.log(
-      `  [DIFF] Could not generate diff: ${error instanceof Error ? error.message : String(error)}`
-    );
-    // Clean up temp files on error
-    try {
-      await fs.unlink(localFile);
-      await fs.unlink(remoteFile);
-    } catch {
-      // Ignore cleanup errors
+    if (error instanceof RedashApiError && error.isVersionConflict) {
+      throw new RemoteChangedError(await client.getQuery(query.id));
     }
+    throw error;
   }
 }
 
 /**
- * Prompt user for confirmation with support for batch operations
- * @param {string} question
- * @returns {Promise<PromptResponse>}
+ * Report what happened to the SQL or metadata of a query, with the hashes
+ * it was compared by
+ * @param {RedashQuery} query
+ * @param {'sql' | 'metadata'} part
+ * @param {QueryComparison} comparison
+ * @param {QueryAction} action
+ * @param {Partial<QueryEvent>} [fields] e.g. the resolution or error
+ * @returns {void}
  */
-async function promptUser(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
+function reportQueryPart(query, part, comparison, action, fields = {}) {
+  reportQuery({
+    id: query.id,
+    name: query.name,
+    part,
+    action,
+    hashes:
+      part === 'sql'
+        ? {
+            local: comparison.localHash,
+            cached: comparison.cachedHash,
+            remote: comparison.remoteHash,
+          }
+        : {
+            local: comparison.localMetadataHash,
+            cached: comparison.cachedMetadataHash,
+            remote: comparison.remoteMetadataHash,
+          },
+    ...fields,
   });
+}
+
+/**
+ * @typedef {Object} MetadataSyncResult
+ * @property {RedashQuery} query Latest remote state of the query
+ * @property {LocalMetadata} local Editable fields and hash to store locally
+ * @property {boolean} changed Whether query.json needs to be written
+ */
+
+/**
+ * Sync the editable metadata (name, description, tags, data source) of a
+ * query that exists locally
+ * @param {SyncContext} context
+ * @param {RedashQuery} query
+ * @param {QueryComparison} comparison
+ * @returns {Promise<MetadataSyncResult>}
+ */
+async function syncQueryMetadata(context, query, comparison) {
+  const { client, session, counts } = context;
+  const queryId = query.id;
+  const { metadataAction, remoteFields, remoteMetadataHash } = comparison;
+  const localFields = comparison.localFields || remoteFields;
+  const cachedMetadataHash =
+    comparison.cachedMetadataHash || remoteMetadataHash;
+
+  /** @type {MetadataSyncResult} */
+  const keepRemote = {
+    query,
+    local: { fields: remoteFields, metadataHash: remoteMetadataHash },
+    changed: metadataAction !== 'unchanged',
+  };
+  /** @type {MetadataSyncResult} */
+  const keepLocal = {
+    query,
+    local: { fields: localFields, metadataHash: cachedMetadataHash },
+    changed: false,
+  };
+
+  if (metadataAction === 'unchanged') {
+    return keepRemote;
+  } else if (metadataAction === 'remote-updated') {
+    counts.metadataFromRemote++;
+    log(`  [REMOTE→LOCAL] Query ${queryId}: ${query.name} (metadata updated)`);
+    reportQueryPart(query, 'metadata', comparison, 'downloaded');
+    return keepRemote;
+  }
+
+  const label = `Query ${queryId}: ${query.name}`;
+  const queryUrl = `${client.baseUrl}/queries/${queryId}/source`;
+  const beforePrompt = () =>
+    showJsonDiff(localFields, remoteFields, `${label} (metadata)`);
+
+  if (metadataAction === 'local-modified') {
+    log(
+      `  [LOCAL MODIFIED] Query ${queryId}: ${query.name} (local metadata changes detected)`
+    );
+    const response = await confirmUpload(
+      session,
+      `Upload local metadata changes to remote? ${queryUrl}`,
+      { beforePrompt }
+    );
 
-  return new Promise((resolve) => {
-    rl.question(`${question}\n(yes/skip/yes-all/skip-all/quit): `, (answer) => {
-      rl.close();
-      const normalized = answer.toLowerCase().trim();
-
-      if (normalized === 'yes') {
-        resolve('yes');
-      } else if (normalized === 'skip' || normalized === '') {
-        resolve('skip');
-      } else if (normalized === 'yes-all') {
-        resolve('yes-all');
-      } else if (normalized === 'skip-all') {
-        resolve('skip-all');
-      } else if (normalized === 'quit') {
-        resolve('quit');
-      } else {
-        // Invalid input, default to 'skip'
-        resolve('skip');
+    if (response !== 'yes') {
+      if (response === 'skip') {
+        log(`  [SKIP] Query ${queryId}: Metadata upload declined`);
+        reportQueryPart(query, 'metadata', comparison, 'declined');
       }
+      return keepLocal;
+    }
+  } else {
+    log(
+      `  [CONFLICT] Query ${queryId}: ${query.name} (local, cached, and remote metadata all differ)`
+    );
+    const resolution = await resolveConflict(
+      session,
+      `query ${queryId}: ${query.name}`,
+      `Resolve metadata conflict? ${queryUrl}`,
+      { beforePrompt }
+    );
+
+    if (resolution === 'remote') {
+      counts.metadataFromRemote++;
+      log(
+        `  [CONFLICT→REMOTE] Query ${queryId}: ${query.name} - remote metadata downloaded`
+      );
+      reportQueryPart(query, 'metadata', comparison, 'downloaded', {
+        resolution: 'remote',
+      });
+      return keepRemote;
+    } else if (resolution === 'skip') {
+      counts.conflicts++;
+      notice(
+        `  [CONFLICT→SKIP] Query ${queryId}: ${query.name} - keeping local metadata, no sync`
+      );
+      reportQueryPart(query, 'metadata', comparison, 'conflict');
+      return keepLocal;
+    }
+  }
+
+  // Local metadata wins - upload it
+  try {
+    const updatedQuery = await uploadUnlessChanged(
+      context,
+      query,
+      { fields: localFields },
+      (current) =>
+        client.updateQueryMetadata(
+          queryId,
+          toQueryUpdate(localFields, current),
+          current.version
+        )
+    );
+    const fields = pickEditableMetadata(updatedQuery);
+    counts.metadataToRemote++;
+    log(`  [LOCAL→REMOTE] Query ${queryId}: ${fields.name} metadata uploaded`);
+    reportQueryPart(
+      query,
+      'metadata',
+      comparison,
+      'uploaded',
+      metadataAction === 'conflict' ? { resolution: 'local' } : {}
+    );
+    return {
+      query: updatedQuery,
+      local: { fields, metadataHash: hashMetadata(fields) },
+      changed: true,
+    };
+  } catch (error) {
+    if (error instanceof RemoteChangedError) {
+      throw error;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    counts.failed++;
+    console.error(
+      `  [ERROR] Failed to upload metadata for query ${queryId}: ${message}`
+    );
+    reportQueryPart(query, 'metadata', comparison, 'failed', {
+      error: message,
     });
-  });
+    return keepLocal;
+  }
 }
 
 /**
- * Prompt user for conflict resolution
- * @param {string} question
- * @returns {Promise<ConflictResponse>}
+ * Run the configured formatter on local SQL before it is offered for upload
+ * Nothing is written until the upload is confirmed, see saveFormattedSql
+ * @param {SyncContext} context
+ * @param {RedashQuery} query
+ * @param {string} sql
+ * @returns {Promise<string | null>} Null if the formatter failed
  */
-async function promptConflict(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
+async function formatLocalSql(context, query, sql) {
+  /** @type {string} */
+  let formatted;
+
+  try {
+    formatted = await formatSql(sql);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    context.counts.failed++;
+    console.error(
+      `  [ERROR] Query ${query.id}: ${query.name} - ${message}, not uploading`
+    );
+    reportQuery({
+      id: query.id,
+      name: query.name,
+      part: 'sql',
+      action: 'failed',
+      error: message,
+    });
+    return null;
+  }
+
+  return formatted;
+}
+
+/**
+ * Save formatted SQL to query.sql once its upload has been confirmed
+ * @param {RedashQuery} query
+ * @param {string} sql Local SQL as read from query.sql
+ * @param {string} formatted
+ */
+async function saveFormattedSql(query, sql, formatted) {
+  if (formatted !== sql) {
+    await writeQuerySql(query.id, formatted);
+    log(
+      `  [FORMATTED] Query ${query.id}: ${query.name} - query.sql formatted for upload`
+    );
+  }
+}
+
+/**
+ * Run the safety checks on SQL about to be uploaded
+ * Warnings are shown, errors stop the upload unless allowUnsafe is set
+ * @param {SyncContext} context
+ * @param {RedashQuery} query
+ * @param {QueryComparison} comparison
+ * @param {string} sql
+ * @returns {Promise<boolean>} Whether the upload may go ahead
+ */
+async function checkUploadSafety(context, query, comparison, sql) {
+  const label = `Query ${query.id}: ${query.name}`;
+  // In a local modification, Redash still has the SQL of the last sync
+  const cachedSql =
+    (await readQueryBase(query.id)) ??
+    (comparison.cachedHash === comparison.remoteHash
+      ? comparison.remoteSql
+      : null);
+  context.dataSourceTypes ||= fetchDataSourceTypes(context.client);
+  const dataSourceType =
+    (await context.dataSourceTypes).get(query.data_source_id) ?? null;
+  const issues = checkSqlSafety(sql, cachedSql, dataSourceType);
+  const errors = issues.filter((issue) => issue.severity === 'error');
+
+  for (const issue of issues) {
+    if (issue.severity === 'warning') {
+      notice(`  [WARN] ${label} - ${issue.message}`);
+    }
+  }
+
+  if (errors.length === 0) {
+    return true;
+  }
+
+  const messages = errors.map((issue) => issue.message);
+
+  if (context.allowUnsafe) {
+    notice(
+      `  [UNSAFE] ${label} - uploading anyway (--allow-unsafe): ${messages.join('; ')}`
+    );
+    return true;
+  }
+
+  context.counts.blocked++;
+  notice(`  [UNSAFE] ${label} - not uploading: ${messages.join('; ')}`);
+  reportQueryPart(query, 'sql', comparison, 'blocked', {
+    error: messages.join('; '),
   });
+  return false;
+}
+
+/**
+ * Sync the SQL of a query that exists locally
+ * @param {SyncContext} context
+ * @param {RedashQuery} query
+ * @param {QueryComparison} comparison
+ * @param {LocalMetadata} local Editable metadata to store with the query
+ * @returns {Promise<boolean>} Whether query.json was written
+ */
+async function syncQuerySql(context, query, comparison, local) {
+  const { client, session, counts } = context;
+  const queryId = query.id;
+  const {
+    remoteSql: remoteSqlContent,
+    localHash,
+    cachedHash,
+    remoteHash,
+  } = comparison;
+  let localSqlContent = comparison.localSql;
+  let action = comparison.action;
+
+  // Conflicts with a base version from the last sync are merged first
+  if (action === 'conflict' && localSqlContent !== null) {
+    const baseSqlContent = await readQueryBase(queryId);
+    const merge =
+      baseSqlContent !== null
+        ? mergeThreeWay(baseSqlContent, localSqlContent, remoteSqlContent)
+        : null;
+
+    // Overlapping hunks are only marked when no resolution was chosen up front
+    if (merge && (merge.clean || shouldMarkConflicts(session))) {
+      // Remote becomes the new base; the merge result stays local
+      const metadata = buildMetadata(query, remoteHash, local);
+      await saveQuery(queryId, merge.content, metadata, remoteSqlContent);
+      localSqlContent = merge.content;
+
+      if (!merge.clean) {
+        counts.conflicts++;
+        notice(
+          `  [CONFLICT→MARKERS] Query ${queryId}: ${query.name} - ${merge.conflicts} overlapping change(s) marked in query.sql, resolve them and sync again`
+        );
+        reportQueryPart(query, 'sql', comparison, 'conflict', {
+          message: `${merge.conflicts} overlapping change(s) marked in query.sql`,
+        });
+        return true;
+      }
+
+      log(
+        `  [MERGED] Query ${queryId}: ${query.name} - local and remote changes merged`
+      );
+
+      if (hashSql(merge.content) === remoteHash) {
+        counts.updatedFromRemote++;
+        reportQueryPart(query, 'sql', comparison, 'merged');
+        return true;
+      }
+
+      // Merged result carries local edits - continue as a local modification
+      action = 'local-modified';
+    }
+  }
+
+  // Query exists locally - act on the three-way comparison
+  if (action === 'unchanged') {
+    counts.skipped++;
+    detail(`  [UNCHANGED] Query ${queryId}: ${query.name}`);
+    reportQueryPart(query, 'sql', comparison, 'unchanged');
+    return false;
+  } else if (action === 'remote-updated') {
+    // Local and cached match, but remote changed - download remote
+    counts.updatedFromRemote++;
+    log(`  [REMOTE→LOCAL] Query ${queryId}: ${query.name} (remote updated)`);
+    const metadata = buildMetadata(query, remoteHash, local);
+    await saveQuery(queryId, remoteSqlContent, metadata);
+    reportQueryPart(query, 'sql', comparison, 'downloaded');
+    return true;
+  } else if (action === 'local-modified') {
+    // Cached and remote match, but local changed - offer to upload
+    log(
+      `  [LOCAL MODIFIED] Query ${queryId}: ${query.name} (local changes detected)`
+    );
+
+    if (localSqlContent && hasConflictMarkers(localSqlContent)) {
+      counts.conflicts++;
+      notice(
+        `  [BLOCKED] Query ${queryId}: query.sql still contains conflict markers, not uploading`
+      );
+      reportQueryPart(query, 'sql', comparison, 'conflict', {
+        message: 'query.sql still contains conflict markers',
+      });
+      return false;
+    }
+
+    // Format first so the diff shown is of the SQL that would be uploaded
+    /** @type {string | null} */
+    let sql = null;
 
-  return new Promise((resolve) => {
-    rl.question(
-      `${question}\n(local/remote/skip/local-all/remote-all): `,
-      (answer) => {
-        rl.close();
-        const normalized = answer.toLowerCase().trim();
-
-        if (normalized === 'local') {
-          resolve('local');
-        } else if (normalized === 'remote') {
-          resolve('remote');
-        } else if (normalized === 'skip' || normalized === '') {
-          resolve('skip');
-        } else if (normalized === 'local-all') {
-          resolve('local-all');
-        } else if (normalized === 'remote-all') {
-          resolve('remote-all');
-        } else {
-          // Invalid input, default to 'skip'
-          resolve('skip');
+    if (localSqlContent !== null) {
+      sql = await formatLocalSql(context, query, localSqlContent);
+
+      if (sql === null) {
+        return false;
+      }
+    }
+
+    const queryUrl = `${client.baseUrl}/queries/${queryId}/source`;
+    const response = await confirmUpload(
+      session,
+      `Upload local changes to remote? ${queryUrl}`,
+      {
+        beforePrompt: async () => {
+          // Show diff before prompting
+          if (sql) {
+            await showDiff(
+              sql,
+              remoteSqlContent,
+              `Query ${queryId}: ${query.name}`
+            );
+          }
+        },
+      }
+    );
+
+    if (response === 'quit') {
+      return false;
+    }
+
+    if (response === 'yes' && localSqlContent !== null && sql !== null) {
+      // Only uploads that would happen rewrite query.sql or can be blocked
+      await saveFormattedSql(query, localSqlContent, sql);
+
+      if (!(await checkUploadSafety(context, query, comparison, sql))) {
+        return false;
+      }
+
+      try {
+        const updatedQuery = await uploadUnlessChanged(
+          context,
+          query,
+          { sql },
+          (current) => client.updateQuery(queryId, sql, current.version)
+        );
+        const newRemoteHash = hashQuery(updatedQuery);
+        const metadata = buildMetadata(updatedQuery, newRemoteHash, local);
+        await saveQuery(queryId, sql, metadata);
+        counts.updatedToRemote++;
+        log(`  [LOCAL→REMOTE] Query ${queryId}: ${query.name} uploaded`);
+        reportQueryPart(query, 'sql', comparison, 'uploaded');
+        return true;
+      } catch (error) {
+        if (error instanceof RemoteChangedError) {
+          throw error;
         }
+        const message = error instanceof Error ? error.message : String(error);
+        counts.failed++;
+        console.error(
+          `  [ERROR] Failed to upload query ${queryId}: ${message}`
+        );
+        reportQueryPart(query, 'sql', comparison, 'failed', {
+          error: message,
+        });
       }
+    } else {
+      log(`  [SKIP] Query ${queryId}: Upload declined`);
+      counts.skipped++;
+      reportQueryPart(query, 'sql', comparison, 'declined');
+    }
+    return false;
+  }
+
+  // All three differ - conflict
+  log(
+    `  [CONFLICT] Query ${queryId}: ${query.name} (local, cached, and remote all differ)`
+  );
+  log(`    Local hash:  ${localHash || 'null'}`);
+  log(`    Cached hash: ${cachedHash}`);
+  log(`    Remote hash: ${remoteHash}`);
+
+  // Format first so the diff shown is of the SQL that would be uploaded
+  /** @type {string | null} */
+  let sql = null;
+
+  if (localSqlContent !== null && !hasConflictMarkers(localSqlContent)) {
+    sql = await formatLocalSql(context, query, localSqlContent);
+
+    if (sql === null) {
+      return false;
+    }
+  }
+
+  const queryUrl = `${client.baseUrl}/queries/${queryId}/source`;
+  const resolution = await resolveConflict(
+    session,
+    `query ${queryId}: ${query.name}`,
+    `Resolve conflict? ${queryUrl}`,
+    {
+      beforePrompt: async () => {
+        if (sql) {
+          await showDiff(
+            sql,
+            remoteSqlContent,
+            `Query ${queryId}: ${query.name}`
+          );
+        }
+      },
+    }
+  );
+
+  if (
+    resolution === 'local' &&
+    localSqlContent &&
+    hasConflictMarkers(localSqlContent)
+  ) {
+    counts.conflicts++;
+    notice(
+      `  [BLOCKED] Query ${queryId}: query.sql still contains conflict markers, not uploading`
     );
-  });
+    reportQueryPart(query, 'sql', comparison, 'conflict', {
+      message: 'query.sql still contains conflict markers',
+    });
+  } else if (
+    resolution === 'local' &&
+    localSqlContent !== null &&
+    sql !== null
+  ) {
+    // Upload local version to remote
+    await saveFormattedSql(query, localSqlContent, sql);
+
+    if (!(await checkUploadSafety(context, query, comparison, sql))) {
+      return false;
+    }
+
+    try {
+      const updatedQuery = await uploadUnlessChanged(
+        context,
+        query,
+        { sql },
+        (current) => client.updateQuery(queryId, sql, current.version)
+      );
+      const newRemoteHash = hashQuery(updatedQuery);
+      const metadata = buildMetadata(updatedQuery, newRemoteHash, local);
+      await saveQuery(queryId, sql, metadata);
+      counts.updatedToRemote++;
+      log(
+        `  [CONFLICT→LOCAL] Query ${queryId}: ${query.name} - local version uploaded to remote`
+      );
+      reportQueryPart(query, 'sql', comparison, 'uploaded', {
+        resolution: 'local',
+      });
+      return true;
+    } catch (error) {
+      if (error instanceof RemoteChangedError) {
+        throw error;
+      }
+      const message = error instanceof Error ? error.message : String(error);
+      // The upload failed and the conflict is still there
+      counts.failed++;
+      counts.conflicts++;
+      console.error(
+        `  [ERROR] Failed to upload local version for query ${queryId}: ${message}`
+      );
+      reportQueryPart(query, 'sql', comparison, 'failed', {
+        resolution: 'local',
+        error: message,
+      });
+    }
+  } else if (resolution === 'remote') {
+    // Download remote version
+    const metadata = buildMetadata(query, remoteHash, local);
+    await saveQuery(queryId, remoteSqlContent, metadata);
+    counts.updatedFromRemote++;
+    log(
+      `  [CONFLICT→REMOTE] Query ${queryId}: ${query.name} - remote version downloaded`
+    );
+    reportQueryPart(query, 'sql', comparison, 'downloaded', {
+      resolution: 'remote',
+    });
+    return true;
+  } else {
+    // Skip - keep local version as-is, don't update metadata
+    counts.conflicts++;
+    notice(
+      `  [CONFLICT→SKIP] Query ${queryId}: ${query.name} - keeping local version, no sync`
+    );
+    reportQueryPart(query, 'sql', comparison, 'conflict');
+  }
+  return false;
 }
 
 /**
- * Build metadata object for a query
+ * Compare a remote query and its visualizations with the local files
+ * @param {SyncContext} context
  * @param {RedashQuery} query
- * @param {string} hash
- * @returns {QueryMetadata}
+ * @returns {Promise<QueryPlan>}
  */
-function buildMetadata(query, hash) {
+async function planQuery(context, query) {
+  const comparison = await compareQuery(query);
+  // Query lists don't include visualizations
+  const { visualizations = [] } = await context.client.getQuery(query.id);
+
   return {
-    id: query.id,
-    name: query.name,
-    description: query.description || '',
-    created_at: query.created_at,
-    updated_at: query.updated_at,
-    data_source_id: query.data_source_id,
-    user_id: query.user_id,
-    is_archived: query.is_archived || false,
-    is_draft: query.is_draft || false,
-    tags: query.tags || [],
-    hash,
-    downloaded_at: new Date().toISOString(),
+    query,
+    comparison,
+    visualizations: await compareVisualizations(
+      query.id,
+      visualizations,
+      comparison.metadata?.visualization_hashes || {}
+    ),
+    deletedLocally:
+      context.archiveDeleted &&
+      comparison.action === 'new' &&
+      String(query.id) in context.state.queries,
   };
 }
 
 /**
- * Download all queries from Redash
+ * Whether syncing a query may have to ask what to do
+ * @param {QueryPlan} plan
+ * @returns {boolean}
+ */
+function needsDecision(plan) {
+  const actions = [plan.comparison.action, plan.comparison.metadataAction];
+
+  return (
+    plan.deletedLocally ||
+    actions.some(
+      (action) => action === 'local-modified' || action === 'conflict'
+    ) ||
+    plan.visualizations.some(needsVisualizationDecision)
+  );
+}
+
+/**
+ * Whether the local files match Redash once a plan without decisions is synced
+ * @param {QueryPlan} plan
+ * @returns {boolean}
+ */
+function isSettled(plan) {
+  return (
+    !needsDecision(plan) &&
+    plan.visualizations.every(
+      ({ action, localHash, cachedHash }) =>
+        action !== 'invalid' &&
+        (action !== 'deleted' ||
+          (localHash !== null && localHash === cachedHash))
+    )
+  );
+}
+
+/**
+ * Whether a query is unchanged in Redash and locally since the last sync
+ * Only the remote updated_at and local file times are checked
+ * @param {SyncState} state
+ * @param {RedashQuery} query
+ * @returns {Promise<boolean>}
+ */
+async function isNotModified(state, query) {
+  const entry = state.queries[String(query.id)];
+
+  if (
+    !entry ||
+    entry.local_mtime === null ||
+    entry.updated_at !== query.updated_at
+  ) {
+    return false;
+  }
+
+  return (await getQueryFilesMtime(query.id)) === entry.local_mtime;
+}
+
+/**
+ * Record a synced query in the sync state, without file times if it may
+ * still differ from Redash
+ * Queries deleted locally keep their entry until they are archived
+ * @param {SyncState} state
+ * @param {QueryPlan} plan
  * @returns {Promise<void>}
  */
-export async function downloadQueries() {
-  console.log('Connecting to Redash API...');
+async function recordSyncState(state, plan) {
+  if (plan.deletedLocally) {
+    return;
+  }
 
-  const client = createClient();
+  state.queries[String(plan.query.id)] = {
+    updated_at: plan.query.updated_at,
+    local_mtime: isSettled(plan)
+      ? await getQueryFilesMtime(plan.query.id)
+      : null,
+  };
+}
 
-  // Ensure queries directory exists
-  await ensureQueriesDir();
+/**
+ * Archive a query in Redash after its local directory was deleted
+ * @param {SyncContext} context
+ * @param {RedashQuery} query
+ * @returns {Promise<void>}
+ */
+async function archiveDeletedQuery(context, query) {
+  const { client, session, counts, state } = context;
+  const label = `Query ${query.id}: ${query.name}`;
 
-  console.log('Fetching queries...');
-
-  let downloaded = 0;
-  let skipped = 0;
-  let updatedFromRemote = 0;
-  let updatedToRemote = 0;
-  let conflicts = 0;
-  let total = 0;
-
-  // Batch operation state
-  /** @type {PromptResponse | null} */
-  let batchMode = null;
-  /** @type {ConflictResponse | null} */
-  let conflictBatchMode = null;
-  let userQuit = false;
-
-  // Process queries as they're being fetched using async generator
-  for await (const query of client.getAllQueries()) {
-    total++;
-    const queryId = query.id;
-    const remoteSqlContent = query.query || '';
-    const remoteHash = hashQuery(query);
-
-    // Check if query exists locally
-    const existingMetadata = await readQueryMetadata(queryId);
-
-    if (!existingMetadata) {
-      // New query - download it
-      downloaded++;
-      console.log(`  [NEW] Query ${queryId}: ${query.name}`);
-      const metadata = buildMetadata(query, remoteHash);
-      await saveQuery(queryId, remoteSqlContent, metadata);
-      continue;
+  log(`  [LOCAL DELETED] ${label} (deleted locally since last sync)`);
+
+  const response = await confirmUpload(
+    session,
+    `Archive query in Redash? ${client.baseUrl}/queries/${query.id}`,
+    { verb: 'Archiving' }
+  );
+
+  if (response === 'yes') {
+    await client.archiveQuery(query.id);
+    delete state.queries[String(query.id)];
+    counts.archivedRemotely++;
+    log(`  [LOCAL→REMOTE] ${label} archived`);
+    reportQuery({
+      id: query.id,
+      name: query.name,
+      part: 'query',
+      action: 'archived',
+      message: 'archived in Redash after the local directory was deleted',
+    });
+  } else if (response === 'skip') {
+    log(`  [SKIP] ${label}: Archiving declined`);
+    reportQuery({
+      id: query.id,
+      name: query.name,
+      part: 'query',
+      action: 'declined',
+      message: 'archiving in Redash declined',
+    });
+  }
+}
+
+/**
+ * Record the versions of a synced query in its history
+ * Only versions in sync with Redash are recorded, plus local edits the sync
+ * replaced and, for queries synced before history was kept, the version
+ * of the last sync
+ * @param {QueryPlan} plan
+ * @param {string} localSql As of after the sync
+ * @param {QueryMetadata} localMetadata As of after the sync
+ * @returns {Promise<void>}
+ */
+async function recordSyncHistory(plan, localSql, localMetadata) {
+  const { query, comparison } = plan;
+  const { action, metadataAction } = comparison;
+  const fields = readEditableMetadata(localMetadata);
+  const hash = hashSql(localSql);
+  const metadataHash = hashMetadata(fields);
+
+  if (comparison.metadata && comparison.localSql !== null) {
+    const previous = {
+      sql: comparison.localSql,
+      fields: comparison.localFields || fields,
+    };
+    const wasSynced =
+      comparison.localHash === comparison.cachedHash &&
+      comparison.localMetadataHash === comparison.cachedMetadataHash;
+
+    if (
+      wasSynced &&
+      (comparison.localHash !== hash ||
+        comparison.localMetadataHash !== metadataHash)
+    ) {
+      await recordVersion(
+        query.id,
+        previous,
+        'download',
+        comparison.metadata.downloaded_at
+      );
+    } else if (
+      (comparison.localHash !== comparison.cachedHash &&
+        comparison.localHash !== hash) ||
+      (comparison.localMetadataHash !== comparison.cachedMetadataHash &&
+        comparison.localMetadataHash !== metadataHash)
+    ) {
+      await recordVersion(query.id, previous, 'conflict');
     }
+  }
 
-    // Query exists locally - perform three-way comparison
-    const cachedHash = existingMetadata.hash;
-    const localSqlContent = await readQuerySql(queryId);
-    const localHash = localSqlContent ? generateHash(localSqlContent) : null;
+  if (
+    hash !== localMetadata.hash ||
+    metadataHash !== (localMetadata.metadata_hash || metadataHash)
+  ) {
+    return;
+  }
 
-    // Three-way hash comparison
-    if (localHash === cachedHash && cachedHash === remoteHash) {
-      // All hashes equal - nothing to do
-      skipped++;
-      continue;
-    } else if (localHash === cachedHash && cachedHash !== remoteHash) {
-      // Local and cached match, but remote changed - download remote
-      updatedFromRemote++;
-      console.log(
-        `  [REMOTE→LOCAL] Query ${queryId}: ${query.name} (remote updated)`
+  const actions = [action, metadataAction];
+  await recordVersion(
+    query.id,
+    { sql: localSql, fields },
+    actions.includes('new')
+      ? 'download'
+      : actions.includes('conflict')
+        ? 'conflict'
+        : actions.includes('local-modified')
+          ? 'upload'
+          : 'download'
+  );
+}
+
+/**
+ * Sync a single remote query with its local copy
+ * Queries that change in Redash before an upload are compared again, so the
+ * new remote version goes through the conflict flow instead of being
+ * overwritten
+ * @param {SyncContext} context
+ * @param {QueryPlan} plan
+ * @returns {Promise<QueryPlan>} The plan that was synced in the end
+ */
+async function syncQuery(context, plan) {
+  const { session, counts } = context;
+  const { query, comparison } = plan;
+  const queryId = query.id;
+
+  if (plan.deletedLocally) {
+    await archiveDeletedQuery(context, query);
+    return plan;
+  } else if (comparison.action === 'new') {
+    // New query - download it
+    counts.downloaded++;
+    log(`  [NEW] Query ${queryId}: ${query.name}`);
+    const metadata = buildMetadata(query, comparison.remoteHash);
+    await saveQuery(queryId, comparison.remoteSql, metadata);
+    reportQueryPart(query, 'sql', comparison, 'new');
+  } else {
+    /** @type {MetadataSyncResult | null} */
+    let metadataSync = null;
+    /** @type {RedashQuery | null} */
+    let changedQuery = null;
+    let saved = false;
+
+    try {
+      // Metadata is resolved first so the SQL step stores the chosen fields
+      metadataSync = await syncQueryMetadata(context, query, comparison);
+
+      if (session.userQuit) {
+        return plan;
+      }
+
+      saved = await syncQuerySql(
+        context,
+        metadataSync.query,
+        comparison,
+        metadataSync.local
+      );
+    } catch (error) {
+      if (!(error instanceof RemoteChangedError)) {
+        throw error;
+      }
+      changedQuery = error.query;
+    }
+
+    if (!saved && metadataSync?.changed) {
+      // SQL was left alone, so keep its cached hash
+      const metadata = buildMetadata(
+        metadataSync.query,
+        comparison.cachedHash || comparison.remoteHash,
+        metadataSync.local
+      );
+      await saveQueryMetadata(queryId, metadata);
+    }
+
+    if (changedQuery) {
+      log(
+        `  [REMOTE CHANGED] Query ${queryId}: ${query.name} - changed in Redash since it was compared, comparing again`
       );
-      const metadata = buildMetadata(query, remoteHash);
-      await saveQuery(queryId, remoteSqlContent, metadata);
+      return syncQuery(context, await planQuery(context, changedQuery));
+    }
+
+    if (session.userQuit) {
+      return plan;
+    }
+  }
+
+  // Compared against the hashes cached before this sync rewrote query.json
+  await syncVisualizations(context, queryId, plan.visualizations);
+
+  const [localSql, localMetadata] = await Promise.all([
+    readQuerySql(queryId),
+    readQueryMetadata(queryId),
+  ]);
+
+  // Archived queries move to queries/_archived/, and back once restored
+  if (
+    localMetadata &&
+    Boolean(localMetadata.is_archived) !== Boolean(query.is_archived)
+  ) {
+    localMetadata.is_archived = Boolean(query.is_archived);
+    await saveQueryMetadata(queryId, localMetadata);
+  }
+
+  // Follow renames and retags in the slug layout
+  const moved = await placeQueryDir(queryId);
+
+  if (moved) {
+    log(
+      `  [MOVED] Query ${queryId}: ${path.relative(getQueriesDir(), moved.from)} → ${path.relative(getQueriesDir(), moved.to)}`
+    );
+  }
+
+  if (localSql !== null && localMetadata) {
+    await recordSyncHistory(plan, localSql, localMetadata);
+  }
+
+  // Check the local copy as it is after syncing
+  if (localSql !== null && localMetadata) {
+    warnParameterMismatch(
+      `Query ${queryId}: ${localMetadata.name}`,
+      localSql,
+      localMetadata.parameters || []
+    );
+  }
+
+  return plan;
+}
+
+/**
+ * Check what happened in Redash to a query it no longer lists
+ * @param {RedashClient} client
+ * @param {number} queryId
+ * @returns {Promise<'archived' | 'deleted' | null>} Null if the query is still active
+ */
+async function checkMissingQuery(client, queryId) {
+  try {
+    const query = await client.getQuery(queryId);
+    return query.is_archived ? 'archived' : null;
+  } catch (error) {
+    if (error instanceof RedashApiError && error.status === 404) {
+      return 'deleted';
+    }
+    throw error;
+  }
+}
+
+/**
+ * Report local queries that Redash no longer lists because they were
+ * archived or deleted, and offer to move them to queries/_archived/
+ * Queries that are still active, e.g. owned by someone else, are left alone
+ * @param {SyncContext} context
+ * @param {Set<number>} listedIds Queries returned by Redash in this sync
+ * @param {number} concurrency
+ * @returns {Promise<void>}
+ */
+async function syncMissingQueries(context, listedIds, concurrency) {
+  const { client, session, counts } = context;
+  const missing = [...(await listQueryDirs())]
+    .filter(([id, dir]) => !listedIds.has(id) && !isArchivedQueryDir(dir))
+    .sort(([a], [b]) => a - b);
+
+  const checks = await runPool(missing, concurrency, async ([queryId]) => {
+    try {
+      return await checkMissingQuery(client, queryId);
+    } catch (error) {
+      handleQueryError(context, { id: queryId }, error);
+      return null;
+    }
+  });
+
+  for (const [index, [queryId, dir]] of missing.entries()) {
+    const status = checks[index];
+
+    if (!status) {
+      continue;
+    }
+
+    const metadata = await readQueryMetadata(queryId);
+    const label = `Query ${queryId}: ${metadata ? metadata.name : 'unknown'}`;
+    const localDir = `queries/${path.relative(getQueriesDir(), dir)}`;
+
+    counts.missing++;
+    log(`  [MISSING] ${label} - ${status} in Redash`);
+    reportQuery({
+      id: queryId,
+      ...(metadata && { name: metadata.name }),
+      path: localDir,
+      part: 'query',
+      action: 'missing',
+      message: `${status} in Redash`,
+    });
+
+    const response = await confirmUpload(
+      session,
+      `Move ${localDir} to queries/_archived/?`,
+      { verb: 'Moving' }
+    );
+
+    if (response === 'quit') {
+      return;
+    } else if (response === 'skip' || !metadata) {
+      log(`  [SKIP] ${label}: Keeping ${localDir}`);
       continue;
-    } else if (cachedHash === remoteHash && localHash !== cachedHash) {
-      // Cached and remote match, but local changed - offer to upload
-      console.log(
-        `  [LOCAL MODIFIED] Query ${queryId}: ${query.name} (local changes detected)`
+    }
+
+    await saveQueryMetadata(queryId, { ...metadata, is_archived: true });
+    const moved = await placeQueryDir(queryId);
+
+    if (moved) {
+      log(
+        `  [ARCHIVED] ${label} → queries/${path.relative(getQueriesDir(), moved.to)}`
       );
+    }
+  }
+}
 
-      // Determine if we should upload based on batch mode or prompt
-      let shouldUpload = false;
-
-      if (batchMode === 'yes-all') {
-        shouldUpload = true;
-        console.log(`  [AUTO] Uploading (batch mode: yes-all)`);
-      } else if (batchMode === 'skip-all') {
-        shouldUpload = false;
-        console.log(`  [AUTO] Skipping (batch mode: skip-all)`);
-      } else if (!userQuit) {
-        // Show diff before prompting
-        if (localSqlContent) {
-          await showDiff(
-            localSqlContent,
-            remoteSqlContent,
-            `Query ${queryId}: ${query.name}`
-          );
-        }
+/**
+ * Create queries in Redash from local draft directories
+ * @param {SyncContext} context
+ * @param {SyncScope} [scope]
+ * @returns {Promise<void>}
+ */
+async function syncDrafts(context, scope) {
+  const { client, session, counts } = context;
 
-        const queryUrl = `${client.baseUrl}/queries/${queryId}/source`;
-        const response = await promptUser(
-          `Upload local changes to remote? ${queryUrl}`
-        );
+  for (const draftName of await listScopedDrafts(scope)) {
+    log(`  [LOCAL NEW] queries/${draftName} (not in Redash yet)`);
 
-        if (response === 'quit') {
-          console.log(`\n[QUIT] User requested to quit. Stopping sync...`);
-          userQuit = true;
-          break;
-        } else if (response === 'yes-all') {
-          batchMode = 'yes-all';
-          shouldUpload = true;
-          console.log(
-            `  [BATCH MODE] Enabled: uploading all remaining queries`
-          );
-        } else if (response === 'skip-all') {
-          batchMode = 'skip-all';
-          shouldUpload = false;
-          console.log(`  [BATCH MODE] Enabled: skipping all remaining queries`);
-        } else {
-          shouldUpload = response === 'yes';
-        }
-      }
+    const response = await confirmUpload(
+      session,
+      `Create query in Redash from queries/${draftName}?`,
+      { verb: 'Creating' }
+    );
 
-      if (shouldUpload && localSqlContent) {
-        try {
-          const updatedQuery = await client.updateQuery(
-            queryId,
-            localSqlContent
-          );
-          const newRemoteHash = hashQuery(updatedQuery);
-          const metadata = buildMetadata(updatedQuery, newRemoteHash);
-          await saveQuery(queryId, localSqlContent, metadata);
-          updatedToRemote++;
-          console.log(
-            `  [LOCAL→REMOTE] Query ${queryId}: ${query.name} uploaded`
-          );
-        } catch (error) {
-          console.error(
-            `  [ERROR] Failed to upload query ${queryId}: ${error instanceof Error ? error.message : String(error)}`
-          );
-        }
-      } else {
-        console.log(`  [SKIP] Query ${queryId}: Upload declined`);
-        skipped++;
-      }
+    if (response === 'quit') {
+      return;
+    } else if (response === 'skip') {
+      log(`  [SKIP] queries/${draftName}: Creation declined`);
+      counts.skipped++;
+      reportQuery({
+        path: `queries/${draftName}`,
+        part: 'query',
+        action: 'declined',
+      });
       continue;
-    } else {
-      // All three differ - conflict
-      console.log(
-        `  [CONFLICT] Query ${queryId}: ${query.name} (local, cached, and remote all differ)`
+    }
+
+    try {
+      const createdQuery = await createQueryFromDraft(client, draftName, {
+        allowUnsafe: context.allowUnsafe,
+      });
+      counts.created++;
+      log(
+        `  [LOCAL→REMOTE] queries/${draftName} created as Query ${createdQuery.id}: ${createdQuery.name}`
       );
-      console.log(`    Local hash:  ${localHash || 'null'}`);
-      console.log(`    Cached hash: ${cachedHash}`);
-      console.log(`    Remote hash: ${remoteHash}`);
-
-      // Determine conflict resolution based on batch mode or prompt
-      /** @type {ConflictResponse | null} */
-      let resolution = null;
-
-      if (conflictBatchMode === 'local-all') {
-        console.log(`  [AUTO] Using local version (batch mode: local-all)`);
-        resolution = 'local';
-      } else if (conflictBatchMode === 'remote-all') {
-        console.log(`  [AUTO] Using remote version (batch mode: remote-all)`);
-        resolution = 'remote';
-      } else if (!userQuit) {
-        const queryUrl = `${client.baseUrl}/queries/${queryId}/source`;
-        const response = await promptConflict(`Resolve conflict? ${queryUrl}`);
-
-        if (response === 'local-all') {
-          conflictBatchMode = 'local-all';
-          resolution = 'local';
-          console.log(
-            `  [BATCH MODE] Enabled: using local version for all remaining conflicts`
-          );
-        } else if (response === 'remote-all') {
-          conflictBatchMode = 'remote-all';
-          resolution = 'remote';
-          console.log(
-            `  [BATCH MODE] Enabled: using remote version for all remaining conflicts`
-          );
-        } else {
-          resolution = response;
-        }
-      } else {
-        resolution = 'skip';
+      reportQuery({
+        id: createdQuery.id,
+        name: createdQuery.name,
+        path: `queries/${draftName}`,
+        part: 'query',
+        action: 'created',
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      counts.failed++;
+      console.error(
+        `  [ERROR] Failed to create query from queries/${draftName}: ${message}`
+      );
+      reportQuery({
+        path: `queries/${draftName}`,
+        part: 'query',
+        action: 'failed',
+        error: message,
+      });
+    }
+  }
+}
+
+/**
+ * Report a query the API failed on
+ * Other errors, and a rejected API key, stop the sync
+ * @param {SyncContext} context
+ * @param {{ id: number, name?: string }} query
+ * @param {unknown} error
+ * @returns {void}
+ */
+function handleQueryError(context, query, error) {
+  if (!(error instanceof RedashApiError) || error.isAuthError) {
+    throw error;
+  }
+
+  const label = query.name
+    ? `Query ${query.id}: ${query.name}`
+    : `Query ${query.id}`;
+  const message = `${error.isPermissionError ? 'permission denied: ' : ''}${error.message}`;
+
+  context.counts.failed++;
+  console.error(`  [ERROR] ${label} - ${message}`);
+  reportQuery({
+    id: query.id,
+    ...(query.name && { name: query.name }),
+    part: 'query',
+    action: 'failed',
+    error: message,
+  });
+}
+
+/**
+ * Set up syncing with Redash: the session, the sync state and the upload
+ * journal. Uploads an interrupted sync left in the journal are settled first
+ * @param {RedashClient} client
+ * @param {SyncOptions} [options]
+ * @returns {Promise<SyncContext>}
+ */
+export async function createSyncContext(client, options = {}) {
+  /** @type {SyncContext} */
+  const context = {
+    client,
+    session: createSession(options),
+    state: await readSyncState(),
+    journal: await readSyncJournal(),
+    archiveDeleted: Boolean(options.archiveDeleted),
+    allowUnsafe: Boolean(options.allowUnsafe),
+    dataSourceTypes: null,
+    counts: {
+      downloaded: 0,
+      created: 0,
+      skipped: 0,
+      notModified: 0,
+      updatedFromRemote: 0,
+      updatedToRemote: 0,
+      metadataFromRemote: 0,
+      metadataToRemote: 0,
+      visualizationsFromRemote: 0,
+      visualizationsToRemote: 0,
+      conflicts: 0,
+      failed: 0,
+      blocked: 0,
+      missing: 0,
+      archivedRemotely: 0,
+      total: 0,
+    },
+  };
+
+  await resumeUploads(client, context.journal);
+  return context;
+}
+
+/**
+ * Compare and sync a single query right away, outside of a full sync
+ * @param {SyncContext} context
+ * @param {RedashQuery} query
+ * @returns {Promise<void>}
+ */
+export async function syncSingleQuery(context, query) {
+  const plan = await syncQuery(context, await planQuery(context, query));
+
+  await recordSyncState(context.state, plan);
+  await completeUploads(context.journal, query.id);
+  await saveSyncState(context.state);
+}
+
+/**
+ * Download all queries from Redash
+ * Queries are compared, and changes from Redash downloaded, several at a
+ * time. Queries that need a decision are synced afterwards one by one, in
+ * the order Redash lists them.
+ * Prompts are only shown when stdin is a TTY; otherwise uploads left to
+ * 'prompt' are skipped
+ * @param {SyncOptions} [options]
+ * @returns {Promise<number>} Exit code, see EXIT_CODES
+ */
+export async function downloadQueries(options = {}) {
+  const concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency ${concurrency} (expected a whole number of at least 1)`
+    );
+  }
+
+  log('Connecting to Redash API...');
+
+  const client = createClient();
+  const startedAt = new Date().toISOString();
+
+  // Ensure queries directory exists
+  await ensureQueriesDir();
+
+  const context = await createSyncContext(client, options);
+  const { session, state, counts } = context;
+
+  log(
+    state.last_sync && !options.full
+      ? `Fetching queries (skipping those not modified since ${state.last_sync})...`
+      : 'Fetching queries...'
+  );
+
+  /** @type {RedashQuery[]} */
+  const queries = [];
+
+  for await (const query of fetchQueries(client, options.scope)) {
+    queries.push(query);
+  }
+  counts.total = queries.length;
+
+  // Anything that can't prompt runs in the pool, the rest is kept for later
+  const plans = await runPool(queries, concurrency, async (query) => {
+    try {
+      if (!options.full && (await isNotModified(state, query))) {
+        counts.skipped++;
+        counts.notModified++;
+        detail(`  [NOT MODIFIED] Query ${query.id}: ${query.name}`);
+        reportQuery({
+          id: query.id,
+          name: query.name,
+          part: 'query',
+          action: 'not-modified',
+        });
+        return null;
       }
 
-      if (resolution === 'local' && localSqlContent) {
-        // Upload local version to remote
-        try {
-          const updatedQuery = await client.updateQuery(
-            queryId,
-            localSqlContent
-          );
-          const newRemoteHash = hashQuery(updatedQuery);
-          const metadata = buildMetadata(updatedQuery, newRemoteHash);
-          await saveQuery(queryId, localSqlContent, metadata);
-          updatedToRemote++;
-          console.log(
-            `  [CONFLICT→LOCAL] Query ${queryId}: ${query.name} - local version uploaded to remote`
-          );
-        } catch (error) {
-          console.error(
-            `  [ERROR] Failed to upload local version for query ${queryId}: ${error instanceof Error ? error.message : String(error)}`
-          );
-          conflicts++;
-        }
-      } else if (resolution === 'remote') {
-        // Download remote version
-        const metadata = buildMetadata(query, remoteHash);
-        await saveQuery(queryId, remoteSqlContent, metadata);
-        updatedFromRemote++;
-        console.log(
-          `  [CONFLICT→REMOTE] Query ${queryId}: ${query.name} - remote version downloaded`
-        );
-      } else {
-        // Skip - keep local version as-is, don't update metadata
-        conflicts++;
-        console.log(
-          `  [CONFLICT→SKIP] Query ${queryId}: ${query.name} - keeping local version, no sync`
-        );
+      const plan = await planQuery(context, query);
+
+      if (needsDecision(plan)) {
+        return plan;
       }
+
+      await recordSyncState(state, await syncQuery(context, plan));
+      await completeUploads(context.journal, query.id);
+    } catch (error) {
+      handleQueryError(context, query, error);
+    }
+    return null;
+  });
+
+  for (const plan of plans) {
+    if (!plan) {
       continue;
     }
+
+    try {
+      await recordSyncState(state, await syncQuery(context, plan));
+      await completeUploads(context.journal, plan.query.id);
+    } catch (error) {
+      handleQueryError(context, plan.query, error);
+    }
+
+    if (session.userQuit) {
+      break;
+    }
+  }
+
+  state.last_sync = startedAt;
+  await saveSyncState(state);
+
+  // Only a full listing tells which local queries are gone from Redash
+  if (!session.userQuit && !isScoped(options.scope || {})) {
+    await syncMissingQueries(
+      context,
+      new Set(queries.map((query) => query.id)),
+      concurrency
+    );
+  }
+
+  if (!session.userQuit) {
+    await syncDrafts(context, options.scope);
+  }
+
+  const status = session.userQuit ? 'Sync interrupted' : 'Sync complete';
+  log(`\n${status}:`);
+  log(`  New: ${counts.downloaded}`);
+  log(`  Created in Redash: ${counts.created}`);
+  log(`  Updated from remote: ${counts.updatedFromRemote}`);
+  log(`  Updated to remote: ${counts.updatedToRemote}`);
+  log(`  Metadata updated from remote: ${counts.metadataFromRemote}`);
+  log(`  Metadata updated to remote: ${counts.metadataToRemote}`);
+  log(
+    `  Visualizations updated from remote: ${counts.visualizationsFromRemote}`
+  );
+  log(`  Visualizations updated to remote: ${counts.visualizationsToRemote}`);
+  log(
+    `  Skipped (unchanged): ${counts.skipped} (${counts.notModified} not modified since last sync)`
+  );
+  log(`  Archived or deleted in Redash: ${counts.missing}`);
+  log(`  Archived in Redash (deleted locally): ${counts.archivedRemotely}`);
+  log(`  Conflicts: ${counts.conflicts}`);
+  log(`  Failed: ${counts.failed}`);
+  log(`  Blocked by safety checks: ${counts.blocked}`);
+  log(`  Total: ${counts.total}`);
+
+  const exitCode = getExitCode(counts, countQueryChanges(counts), {
+    changes: options.exitCode,
+  });
+
+  reportSummary(
+    session.userQuit ? 'interrupted' : 'complete',
+    counts,
+    exitCode
+  );
+
+  if (options.failOnConflict && counts.conflicts > 0) {
+    console.error(`\nError: ${counts.conflicts} conflict(s) left unresolved`);
   }
 
-  const status = userQuit ? 'Sync interrupted' : 'Sync complete';
-  console.log(`\n${status}:`);
-  console.log(`  New: ${downloaded}`);
-  console.log(`  Updated from remote: ${updatedFromRemote}`);
-  console.log(`  Updated to remote: ${updatedToRemote}`);
-  console.log(`  Skipped (unchanged): ${skipped}`);
-  console.log(`  Conflicts: ${conflicts}`);
-  console.log(`  Total: ${total}`);
+  return exitCode;
 }
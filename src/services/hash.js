@@ -4,6 +4,7 @@
  */
 
 import crypto from 'crypto';
+import { normalizeSql } from '../utils/normalize.js';
 
 /**
  * Generate SHA-256 hash of content
@@ -16,6 +17,16 @@ export function generateHash(content) {
   return crypto.createHash('sha256').update(normalized, 'utf8').digest('hex');
 }
 
+/**
+ * Generate hash of SQL after the configured normalization
+ * @param {string} sql
+ * @param {string} [normalization] Steps to apply (default: REDASH_NORMALIZE)
+ * @returns {string}
+ */
+export function hashSql(sql, normalization) {
+  return generateHash(normalizeSql(sql, normalization));
+}
+
 /**
  * Generate hash for a query's SQL content
  * @param {{ query?: string }} query
@@ -23,5 +34,5 @@ export function generateHash(content) {
  */
 export function hashQuery(query) {
   const content = query.query || '';
-  return generateHash(content);
+  return hashSql(content);
 }
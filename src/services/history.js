@@ -0,0 +1,279 @@
+/**
+ * Query history service
+ * Keeps every SQL and metadata version seen during sync, and lets old
+ * versions be inspected and restored locally
+ */
+
+import { generateHash } from './hash.js';
+import { hashMetadata, readEditableMetadata } from './metadata.js';
+import {
+  appendHistory,
+  readHistory,
+  readQueryMetadata,
+  readQuerySql,
+  saveQueryMetadata,
+  writeQuerySql,
+} from '../utils/fileManager.js';
+import { showDiff, showJsonDiff } from '../utils/diff.js';
+
+/**
+ * @typedef {import('../utils/fileManager.js').HistoryEntry} HistoryEntry
+ * @typedef {import('../utils/fileManager.js').HistoryDirection} HistoryDirection
+ * @typedef {import('./metadata.js').EditableMetadata} EditableMetadata
+ */
+
+/**
+ * @typedef {Object} QueryVersion
+ * @property {string} sql
+ * @property {EditableMetadata} fields
+ */
+
+/**
+ * @typedef {Object} RevisionOptions
+ * @property {boolean} [metadata] Use the metadata instead of, or with, the SQL
+ */
+
+/**
+ * Record a version of a query, unless it is the latest one already
+ * @param {number} queryId
+ * @param {QueryVersion} version
+ * @param {HistoryDirection} direction
+ * @param {string} [timestamp] When the version was seen (default: now)
+ * @returns {Promise<void>}
+ */
+export async function recordVersion(queryId, version, direction, timestamp) {
+  const entries = await readHistory(queryId);
+  const last = entries.at(-1);
+  const hash = generateHash(version.sql);
+  const metadataHash = hashMetadata(version.fields);
+
+  if (last && last.hash === hash && last.metadata_hash === metadataHash) {
+    return;
+  }
+
+  await appendHistory(queryId, {
+    rev: (last?.rev || 0) + 1,
+    timestamp: timestamp || new Date().toISOString(),
+    direction,
+    hash,
+    metadata_hash: metadataHash,
+    ...(!entries.some((entry) => entry.hash === hash) && { sql: version.sql }),
+    ...(!entries.some((entry) => entry.metadata_hash === metadataHash) && {
+      metadata: version.fields,
+    }),
+  });
+}
+
+/**
+ * Parse a query ID followed by revision numbers
+ * @param {string[]} args
+ * @param {number} revisions Number of revisions expected
+ * @param {string} usage
+ * @returns {number[]}
+ */
+function parseRevisionArgs(args, revisions, usage) {
+  if (args.length !== revisions + 1 || args.some((arg) => !/^\d+$/.test(arg))) {
+    throw new Error(`Usage: ${usage}`);
+  }
+  return args.map(Number);
+}
+
+/**
+ * Read the history of a query, failing if there is none
+ * @param {number} queryId
+ * @returns {Promise<HistoryEntry[]>}
+ */
+async function readExistingHistory(queryId) {
+  const entries = await readHistory(queryId);
+
+  if (entries.length === 0) {
+    throw new Error(`No history for query ${queryId} (run sync first)`);
+  }
+
+  return entries;
+}
+
+/**
+ * Get the content of a revision
+ * @param {HistoryEntry[]} entries
+ * @param {number} queryId
+ * @param {number} rev
+ * @returns {QueryVersion}
+ */
+function getRevision(entries, queryId, rev) {
+  const entry = entries.find((item) => item.rev === rev);
+
+  if (!entry) {
+    throw new Error(
+      `Query ${queryId} has no revision ${rev} (see npm run log -- ${queryId})`
+    );
+  }
+
+  // Content is stored with the first revision that had it
+  const sql = entries.find(
+    (item) => item.hash === entry.hash && item.sql !== undefined
+  )?.sql;
+  const fields = entries.find(
+    (item) => item.metadata_hash === entry.metadata_hash && item.metadata
+  )?.metadata;
+
+  if (sql === undefined || !fields) {
+    throw new Error(`History of query ${queryId} is missing revision ${rev}`);
+  }
+
+  return { sql, fields };
+}
+
+/**
+ * List the versions of a query, newest first
+ * @param {string[]} args Positional arguments, the query ID
+ * @returns {Promise<void>}
+ */
+export async function showLog(args) {
+  const [queryId] = parseRevisionArgs(args, 0, 'npm run log -- <query-id>');
+  const id = /** @type {number} */ (queryId);
+  const entries = await readExistingHistory(id);
+  const [sql, metadata] = await Promise.all([
+    readQuerySql(id),
+    readQueryMetadata(id),
+  ]);
+  const localHash = sql !== null ? generateHash(sql) : null;
+  const localMetadataHash = metadata
+    ? hashMetadata(readEditableMetadata(metadata))
+    : null;
+
+  console.log(
+    `History of query ${id}${metadata ? `: ${metadata.name}` : ''} (${entries.length} versions, newest first):`
+  );
+
+  for (const [index, entry] of [...entries.entries()].reverse()) {
+    const previous = entries[index - 1];
+    const changes = !previous
+      ? 'first seen'
+      : [
+          ...(entry.hash !== previous.hash ? ['SQL'] : []),
+          ...(entry.metadata_hash !== previous.metadata_hash
+            ? ['metadata']
+            : []),
+        ].join(' and ') + ' changed';
+    const local =
+      entry.hash === localHash && entry.metadata_hash === localMetadataHash
+        ? '  (local files)'
+        : '';
+
+    console.log(
+      `  r${String(entry.rev).padEnd(4)} ${entry.timestamp}  ${entry.direction.padEnd(8)}  ${changes}${local}`
+    );
+  }
+}
+
+/**
+ * Print the SQL, or the metadata, of a revision
+ * @param {string[]} args Positional arguments, the query ID and revision
+ * @param {RevisionOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function showRevision(args, options = {}) {
+  const [queryId, rev] = parseRevisionArgs(
+    args,
+    1,
+    'npm run show -- <query-id> <rev> [--metadata]'
+  );
+  const id = /** @type {number} */ (queryId);
+  const version = getRevision(
+    await readExistingHistory(id),
+    id,
+    /** @type {number} */ (rev)
+  );
+
+  process.stdout.write(
+    options.metadata
+      ? `${JSON.stringify(version.fields, null, 2)}\n`
+      : version.sql
+  );
+}
+
+/**
+ * Show the changes between two revisions
+ * @param {string[]} args Positional arguments, the query ID and two revisions
+ * @returns {Promise<void>}
+ */
+export async function diffRevisions(args) {
+  const [queryId, revA, revB] = parseRevisionArgs(
+    args,
+    2,
+    'npm run diff -- <query-id> <rev-a> <rev-b>'
+  );
+  const id = /** @type {number} */ (queryId);
+  const entries = await readExistingHistory(id);
+  const a = getRevision(entries, id, /** @type {number} */ (revA));
+  const b = getRevision(entries, id, /** @type {number} */ (revB));
+  const label = `Query ${id} r${revA} → r${revB}`;
+  const sqlChanged = generateHash(a.sql) !== generateHash(b.sql);
+  const metadataChanged = hashMetadata(a.fields) !== hashMetadata(b.fields);
+
+  if (sqlChanged) {
+    await showDiff(b.sql, a.sql, `${label} (SQL)`);
+  }
+  if (metadataChanged) {
+    await showJsonDiff(b.fields, a.fields, `${label} (metadata)`);
+  }
+  if (!sqlChanged && !metadataChanged) {
+    console.log(`No differences between r${revA} and r${revB}`);
+  }
+}
+
+/**
+ * Put the SQL, and optionally the metadata, of a revision back into the
+ * local files, so the next sync offers it for upload
+ * Local changes that aren't in the history are never overwritten
+ * @param {string[]} args Positional arguments, the query ID and revision
+ * @param {RevisionOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function revertRevision(args, options = {}) {
+  const [queryId, rev] = parseRevisionArgs(
+    args,
+    1,
+    'npm run revert -- <query-id> <rev> [--metadata]'
+  );
+  const id = /** @type {number} */ (queryId);
+  const entries = await readExistingHistory(id);
+  const version = getRevision(entries, id, /** @type {number} */ (rev));
+  const [sql, metadata] = await Promise.all([
+    readQuerySql(id),
+    readQueryMetadata(id),
+  ]);
+
+  if (sql === null || !metadata) {
+    throw new Error(`Query ${id} not found locally (run sync first)`);
+  }
+
+  const localHash = generateHash(sql);
+  const localMetadataHash = hashMetadata(readEditableMetadata(metadata));
+
+  if (!entries.some((entry) => entry.hash === localHash)) {
+    throw new Error(
+      `query.sql of query ${id} has changes that aren't in its history, sync or undo them first`
+    );
+  }
+  if (
+    options.metadata &&
+    !entries.some((entry) => entry.metadata_hash === localMetadataHash)
+  ) {
+    throw new Error(
+      `query.json of query ${id} has changes that aren't in its history, sync or undo them first`
+    );
+  }
+
+  await writeQuerySql(id, version.sql);
+
+  if (options.metadata) {
+    await saveQueryMetadata(id, { ...metadata, ...version.fields });
+  }
+
+  console.log(
+    `  [REVERTED] Query ${id}: ${metadata.name} - ${options.metadata ? 'SQL and metadata' : 'SQL'} restored to r${rev}`
+  );
+  console.log('  Run sync to upload it');
+}
@@ -0,0 +1,337 @@
+/**
+ * Item sync
+ * The three-way sync of dashboards, query snippets and alerts: comparing
+ * each item, acting on the comparison with the query sync's prompts and
+ * policies, and summing up the run as output, events and an exit code
+ */
+
+import { RedashApiError } from '../api/redash.js';
+import { createSession, confirmUpload, resolveConflict } from './session.js';
+import { getExitCode, reportItem, reportSummary } from './report.js';
+import { showJsonDiff } from '../utils/diff.js';
+import { detail, log, notice } from '../utils/output.js';
+
+/**
+ * @typedef {import('./comparison.js').SyncAction} SyncAction
+ * @typedef {import('./downloader.js').SyncOptions} SyncOptions
+ * @typedef {import('./report.js').ItemAction} ItemAction
+ * @typedef {import('./report.js').ItemEvent} ItemEvent
+ * @typedef {import('./report.js').ItemKind} ItemKind
+ * @typedef {import('./session.js').SyncSession} SyncSession
+ */
+
+/**
+ * Local and remote version of an item, and what to do about them
+ * @template T
+ * @typedef {Object} ItemComparison
+ * @property {SyncAction} action
+ * @property {T | null} local Null if missing, or if it could not be read
+ * @property {T} remote
+ * @property {string | null} localHash
+ * @property {string | null} cachedHash
+ * @property {string} remoteHash
+ * @property {string} [error] Why the local version could not be read
+ */
+
+/**
+ * How to sync one kind of item
+ * @template R Item as fetched from Redash
+ * @template T Version of the item that is compared and stored
+ * @typedef {Object} ItemSyncer
+ * @property {ItemKind} kind
+ * @property {(item: R) => { id: number, name: string }} describe
+ * @property {(item: R) => string} url Page of the item in Redash
+ * @property {(item: R) => Promise<ItemComparison<T>>} compare
+ * @property {(version: T) => unknown} pickContent Editable content shown in diffs
+ * @property {(item: R, remote: T) => Promise<void>} save Store the remote version
+ * @property {(item: R, local: T) => Promise<void>} upload Upload the local version and store what Redash saved
+ * @property {(item: R, local: T, comparison: ItemComparison<T>) => Promise<void>} [recover] Catch up with an upload that failed partway
+ * @property {(item: R) => Promise<string[]>} [check] Warnings about the item once synced
+ */
+
+/**
+ * @typedef {Object} ItemCounts
+ * @property {number} downloaded
+ * @property {number} updatedFromRemote
+ * @property {number} updatedToRemote
+ * @property {number} created Created in Redash from local files
+ * @property {number} removed Removed locally after being deleted in Redash
+ * @property {number} skipped
+ * @property {number} conflicts
+ * @property {number} failed
+ * @property {number} warnings
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} ItemSyncContext
+ * @property {SyncSession} session
+ * @property {ItemCounts} counts
+ * @property {SyncOptions} options
+ */
+
+/** @type {Record<ItemKind, string>} */
+const KIND_LABELS = {
+  dashboard: 'Dashboard',
+  snippet: 'Snippet',
+  alert: 'Alert',
+};
+
+/**
+ * Get the label of an item in messages, e.g. 'Alert 12: Too many errors'
+ * @param {ItemKind} kind
+ * @param {number} id
+ * @param {string} name
+ * @returns {string}
+ */
+export function itemLabel(kind, id, name) {
+  return `${KIND_LABELS[kind]} ${id}: ${name}`;
+}
+
+/**
+ * Create the state shared by the items of a sync
+ * @param {SyncOptions} [options]
+ * @returns {ItemSyncContext}
+ */
+export function createItemSyncContext(options = {}) {
+  return {
+    session: createSession(options),
+    counts: {
+      downloaded: 0,
+      updatedFromRemote: 0,
+      updatedToRemote: 0,
+      created: 0,
+      removed: 0,
+      skipped: 0,
+      conflicts: 0,
+      failed: 0,
+      warnings: 0,
+      total: 0,
+    },
+    options,
+  };
+}
+
+/**
+ * Sync an item with Redash
+ * @template R, T
+ * @param {ItemSyncContext} context
+ * @param {ItemSyncer<R, T>} syncer
+ * @param {R} item
+ * @returns {Promise<void>}
+ */
+export async function syncItem(context, syncer, item) {
+  const { session, counts } = context;
+  const { kind } = syncer;
+  const { id, name } = syncer.describe(item);
+  const label = itemLabel(kind, id, name);
+  const comparison = await syncer.compare(item);
+  const { action, local, remote } = comparison;
+
+  /**
+   * @param {ItemAction} itemAction
+   * @param {Partial<ItemEvent>} [fields]
+   */
+  const report = (itemAction, fields = {}) =>
+    reportItem(kind, {
+      id,
+      name,
+      action: itemAction,
+      hashes: {
+        local: comparison.localHash,
+        cached: comparison.cachedHash,
+        remote: comparison.remoteHash,
+      },
+      ...fields,
+    });
+
+  if (action === 'new') {
+    counts.downloaded++;
+    log(`  [NEW] ${label}`);
+    await syncer.save(item, remote);
+    report('new');
+  } else if (action === 'unchanged') {
+    counts.skipped++;
+    detail(`  [UNCHANGED] ${label}`);
+    report('unchanged');
+  } else if (action === 'remote-updated') {
+    counts.updatedFromRemote++;
+    log(`  [REMOTE→LOCAL] ${label} (remote updated)`);
+    await syncer.save(item, remote);
+    report('downloaded');
+  } else if (!local) {
+    const message = comparison.error || 'the local version could not be read';
+    counts.failed++;
+    console.error(`  [ERROR] ${label} - ${message}, not synced`);
+    report('failed', { error: message });
+  } else {
+    const isConflict = action === 'conflict';
+    log(
+      isConflict
+        ? `  [CONFLICT] ${label} (local, cached, and remote all differ)`
+        : `  [LOCAL MODIFIED] ${label} (local changes detected)`
+    );
+
+    const beforePrompt = () =>
+      showJsonDiff(
+        syncer.pickContent(local),
+        syncer.pickContent(remote),
+        label
+      );
+    const resolution = isConflict
+      ? await resolveConflict(
+          session,
+          `${kind} ${id}: ${name}`,
+          `Resolve conflict? ${syncer.url(item)}`,
+          { beforePrompt }
+        )
+      : await confirmUpload(
+          session,
+          `Upload local changes to remote? ${syncer.url(item)}`,
+          { beforePrompt }
+        );
+    /** @type {Partial<ItemEvent>} */
+    const resolved = isConflict ? { resolution: 'local' } : {};
+
+    if (resolution === 'quit') {
+      return;
+    } else if (resolution === 'local' || resolution === 'yes') {
+      try {
+        await syncer.upload(item, local);
+        counts.updatedToRemote++;
+        log(
+          isConflict
+            ? `  [CONFLICT→LOCAL] ${label} - local version uploaded to remote`
+            : `  [LOCAL→REMOTE] ${label} uploaded`
+        );
+        report('uploaded', resolved);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        counts.failed++;
+        // The upload failed and the conflict is still there
+        if (isConflict) {
+          counts.conflicts++;
+        }
+        console.error(`  [ERROR] Failed to upload ${kind} ${id}: ${message}`);
+        report('failed', { ...resolved, error: message });
+        await recoverItem(syncer, item, local, comparison, label);
+      }
+    } else if (resolution === 'remote') {
+      counts.updatedFromRemote++;
+      log(`  [CONFLICT→REMOTE] ${label} - remote version downloaded`);
+      await syncer.save(item, remote);
+      report('downloaded', { resolution: 'remote' });
+    } else if (isConflict) {
+      counts.conflicts++;
+      notice(`  [CONFLICT→SKIP] ${label} - keeping local version, no sync`);
+      report('conflict');
+    } else {
+      counts.skipped++;
+      log(`  [SKIP] ${label}: Upload declined`);
+      report('declined');
+    }
+  }
+
+  for (const warning of syncer.check ? await syncer.check(item) : []) {
+    counts.warnings++;
+    notice(`  [WARN] ${label} - ${warning}`);
+    reportItem(kind, { id, name, action: 'warning', message: warning });
+  }
+}
+
+/**
+ * Report an item that failed to sync and move on to the next one
+ * Errors other than API errors, and auth errors, stop the sync
+ * @param {ItemSyncContext} context
+ * @param {ItemKind} kind
+ * @param {{ id: number, name?: string }} item
+ * @param {unknown} error
+ * @returns {void}
+ */
+export function handleItemError(context, kind, item, error) {
+  if (!(error instanceof RedashApiError) || error.isAuthError) {
+    throw error;
+  }
+
+  const label = item.name
+    ? itemLabel(kind, item.id, item.name)
+    : `${KIND_LABELS[kind]} ${item.id}`;
+  const message = `${error.isPermissionError ? 'permission denied: ' : ''}${error.message}`;
+
+  context.counts.failed++;
+  console.error(`  [ERROR] ${label} - ${message}`);
+  reportItem(kind, {
+    id: item.id,
+    ...(item.name && { name: item.name }),
+    action: 'failed',
+    error: message,
+  });
+}
+
+/**
+ * Let the syncer catch up with Redash after a failed upload, reporting
+ * rather than throwing if Redash can't be read either
+ * @template R, T
+ * @param {ItemSyncer<R, T>} syncer
+ * @param {R} item
+ * @param {T} local
+ * @param {ItemComparison<T>} comparison
+ * @param {string} label
+ * @returns {Promise<void>}
+ */
+async function recoverItem(syncer, item, local, comparison, label) {
+  if (!syncer.recover) {
+    return;
+  }
+
+  try {
+    await syncer.recover(item, local, comparison);
+  } catch (error) {
+    console.error(
+      `  [ERROR] ${label} - could not be read back after the failed upload: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+/**
+ * Print the summary of a sync and report it
+ * @param {ItemSyncContext} context
+ * @param {ItemKind} kind
+ * @param {[string, number][]} [extraLines] Counts only some kinds have, by label
+ * @returns {number} Exit code, see EXIT_CODES
+ */
+export function finishItemSync(context, kind, extraLines = []) {
+  const { session, counts, options } = context;
+  const status = session.userQuit ? 'interrupted' : 'complete';
+
+  log(`\n${KIND_LABELS[kind]} sync ${status}:`);
+  log(`  New: ${counts.downloaded}`);
+  log(`  Updated from remote: ${counts.updatedFromRemote}`);
+  log(`  Updated to remote: ${counts.updatedToRemote}`);
+  for (const [lineLabel, count] of extraLines) {
+    log(`  ${lineLabel}: ${count}`);
+  }
+  log(`  Skipped (unchanged): ${counts.skipped}`);
+  log(`  Conflicts: ${counts.conflicts}`);
+  log(`  Failed: ${counts.failed}`);
+  log(`  Warnings: ${counts.warnings}`);
+  log(`  Total: ${counts.total}`);
+
+  const changes =
+    counts.downloaded +
+    counts.updatedFromRemote +
+    counts.updatedToRemote +
+    counts.created +
+    counts.removed;
+  const exitCode = getExitCode(counts, changes, {
+    changes: options.exitCode,
+  });
+
+  reportSummary(status, counts, exitCode);
+
+  if (options.failOnConflict && counts.conflicts > 0) {
+    console.error(`\nError: ${counts.conflicts} conflict(s) left unresolved`);
+  }
+
+  return exitCode;
+}
@@ -0,0 +1,138 @@
+/**
+ * Upload journal
+ * Uploads are recorded before they are sent and cleared once their result
+ * is saved locally, so the next sync can tell whether an interrupted
+ * upload reached Redash
+ */
+
+import { RedashApiError } from '../api/redash.js';
+import { hashQuery, hashSql } from './hash.js';
+import { hashMetadata, pickEditableMetadata } from './metadata.js';
+import {
+  readQueryMetadata,
+  readQuerySql,
+  saveQuery,
+  saveQueryMetadata,
+  saveSyncJournal,
+} from '../utils/fileManager.js';
+import { getNormalization } from '../utils/normalize.js';
+import { log } from '../utils/output.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
+ * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ * @typedef {import('../utils/fileManager.js').SyncJournal} SyncJournal
+ * @typedef {import('./metadata.js').EditableMetadata} EditableMetadata
+ */
+
+/**
+ * @typedef {Object} PendingUpload
+ * @property {string} [sql]
+ * @property {EditableMetadata} [fields]
+ */
+
+/**
+ * Record an upload that is about to be sent
+ * @param {SyncJournal} journal
+ * @param {number} queryId
+ * @param {PendingUpload} upload
+ * @returns {Promise<void>}
+ */
+export async function recordUpload(journal, queryId, upload) {
+  const previous = journal[String(queryId)];
+
+  journal[String(queryId)] = {
+    ...previous,
+    started_at: previous?.started_at || new Date().toISOString(),
+    ...(upload.sql !== undefined && { sql: upload.sql }),
+    ...(upload.fields && { metadata_hash: hashMetadata(upload.fields) }),
+  };
+  await saveSyncJournal(journal);
+}
+
+/**
+ * Clear the uploads of a query once its local files are saved
+ * @param {SyncJournal} journal
+ * @param {number} queryId
+ * @returns {Promise<void>}
+ */
+export async function completeUploads(journal, queryId) {
+  if (!(String(queryId) in journal)) {
+    return;
+  }
+
+  delete journal[String(queryId)];
+  await saveSyncJournal(journal);
+}
+
+/**
+ * Settle the uploads an interrupted sync left in the journal
+ * Uploads that reached Redash are recorded in the local files as synced,
+ * leaving edits made since as local changes. The others are reported and
+ * left to the comparison
+ * @param {RedashClient} client
+ * @param {SyncJournal} journal
+ * @returns {Promise<void>}
+ */
+export async function resumeUploads(client, journal) {
+  for (const [key, entry] of Object.entries(journal)) {
+    const queryId = Number(key);
+    /** @type {RedashQuery} */
+    let query;
+
+    try {
+      query = await client.getQuery(queryId);
+    } catch (error) {
+      if (!(error instanceof RedashApiError) || error.status !== 404) {
+        throw error;
+      }
+      log(
+        `  [INTERRUPTED] Query ${queryId}: upload started ${entry.started_at} was interrupted, the query no longer exists in Redash`
+      );
+      await completeUploads(journal, queryId);
+      continue;
+    }
+
+    const metadata = await readQueryMetadata(queryId);
+    const sqlLanded =
+      entry.sql !== undefined && hashQuery(query) === hashSql(entry.sql);
+    const metadataLanded =
+      entry.metadata_hash !== undefined &&
+      hashMetadata(pickEditableMetadata(query)) === entry.metadata_hash;
+    const label = `Query ${queryId}: ${query.name}`;
+
+    if (!metadata || (!sqlLanded && !metadataLanded)) {
+      log(
+        `  [INTERRUPTED] ${label} - upload started ${entry.started_at} did not reach Redash, comparing again`
+      );
+      await completeUploads(journal, queryId);
+      continue;
+    }
+
+    const synced = {
+      ...metadata,
+      updated_at: query.updated_at,
+      ...(sqlLanded && {
+        hash: hashQuery(query),
+        normalization: getNormalization() || undefined,
+      }),
+      ...(metadataLanded && { metadata_hash: entry.metadata_hash }),
+    };
+    const localSql = await readQuerySql(queryId);
+
+    if (sqlLanded && localSql !== null && entry.sql !== undefined) {
+      await saveQuery(queryId, localSql, synced, entry.sql);
+    } else {
+      await saveQueryMetadata(queryId, synced);
+    }
+
+    const parts = [
+      ...(sqlLanded ? ['SQL'] : []),
+      ...(metadataLanded ? ['metadata'] : []),
+    ];
+    log(
+      `  [RESUMED] ${label} - interrupted ${parts.join(' and ')} upload reached Redash, local files updated`
+    );
+    await completeUploads(journal, queryId);
+  }
+}
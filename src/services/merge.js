@@ -0,0 +1,198 @@
+/**
+ * Line-based three-way merge (diff3)
+ * Merges local and remote edits made against a common base version
+ */
+
+const MARKER_LOCAL = '<<<<<<< local';
+const MARKER_SEPARATOR = '=======';
+const MARKER_REMOTE = '>>>>>>> remote';
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {string} content Merged content, with conflict markers if needed
+ * @property {boolean} clean True when no hunks overlapped
+ * @property {number} conflicts Number of overlapping hunks
+ */
+
+/**
+ * Map each line of `base` to its matching line in `other`
+ * Uses the longest common subsequence; unmatched lines map to -1
+ * @param {string[]} base
+ * @param {string[]} other
+ * @returns {number[]}
+ */
+function matchLines(base, other) {
+  /** @type {number[]} */
+  const matches = new Array(base.length).fill(-1);
+
+  // Common prefix and suffix keep the LCS table small for typical edits
+  let start = 0;
+  while (
+    start < base.length &&
+    start < other.length &&
+    base[start] === other[start]
+  ) {
+    matches[start] = start;
+    start++;
+  }
+
+  let baseEnd = base.length;
+  let otherEnd = other.length;
+  while (
+    baseEnd > start &&
+    otherEnd > start &&
+    base[baseEnd - 1] === other[otherEnd - 1]
+  ) {
+    baseEnd--;
+    otherEnd--;
+    matches[baseEnd] = otherEnd;
+  }
+
+  const rows = baseEnd - start;
+  const cols = otherEnd - start;
+  const width = cols + 1;
+  const table = new Uint32Array((rows + 1) * width);
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[i * width + j] =
+        base[start + i] === other[start + j]
+          ? (table[(i + 1) * width + j + 1] ?? 0) + 1
+          : Math.max(
+              table[(i + 1) * width + j] ?? 0,
+              table[i * width + j + 1] ?? 0
+            );
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (base[start + i] === other[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (
+      (table[(i + 1) * width + j] ?? 0) >= (table[i * width + j + 1] ?? 0)
+    ) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Compare two line arrays for equality
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Merge local and remote content against their common base
+ * @param {string} base Content as of the last sync
+ * @param {string} local
+ * @param {string} remote
+ * @returns {MergeResult}
+ */
+export function mergeThreeWay(base, local, remote) {
+  // Trailing whitespace is ignored by change detection, so ignore it here too
+  const baseLines = base.trimEnd().split('\n');
+  const localLines = local.trimEnd().split('\n');
+  const remoteLines = remote.trimEnd().split('\n');
+  const localMatches = matchLines(baseLines, localLines);
+  const remoteMatches = matchLines(baseLines, remoteLines);
+
+  /** @type {string[]} */
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let a = 0;
+  let b = 0;
+
+  while (true) {
+    // Stable line: unchanged on both sides
+    if (
+      i < baseLines.length &&
+      localMatches[i] === a &&
+      remoteMatches[i] === b
+    ) {
+      output.push(/** @type {string} */ (baseLines[i]));
+      i++;
+      a++;
+      b++;
+      continue;
+    }
+
+    // Find the next base line that both sides kept
+    let j = i;
+    while (
+      j < baseLines.length &&
+      (localMatches[j] === -1 || remoteMatches[j] === -1)
+    ) {
+      j++;
+    }
+
+    const localEnd =
+      j < baseLines.length
+        ? /** @type {number} */ (localMatches[j])
+        : localLines.length;
+    const remoteEnd =
+      j < baseLines.length
+        ? /** @type {number} */ (remoteMatches[j])
+        : remoteLines.length;
+
+    if (j === i && localEnd === a && remoteEnd === b) {
+      break;
+    }
+
+    const baseChunk = baseLines.slice(i, j);
+    const localChunk = localLines.slice(a, localEnd);
+    const remoteChunk = remoteLines.slice(b, remoteEnd);
+
+    if (sameLines(localChunk, baseChunk)) {
+      output.push(...remoteChunk);
+    } else if (
+      sameLines(remoteChunk, baseChunk) ||
+      sameLines(localChunk, remoteChunk)
+    ) {
+      output.push(...localChunk);
+    } else {
+      conflicts++;
+      output.push(
+        MARKER_LOCAL,
+        ...localChunk,
+        MARKER_SEPARATOR,
+        ...remoteChunk,
+        MARKER_REMOTE
+      );
+    }
+
+    i = j;
+    a = localEnd;
+    b = remoteEnd;
+  }
+
+  const trailing = local.endsWith('\n') ? '\n' : '';
+
+  return {
+    content: output.join('\n') + trailing,
+    clean: conflicts === 0,
+    conflicts,
+  };
+}
+
+/**
+ * Check whether content still contains unresolved conflict markers
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function hasConflictMarkers(content) {
+  return /^(<{7}|={7}|>{7})( |$)/m.test(content);
+}
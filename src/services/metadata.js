@@ -0,0 +1,133 @@
+/**
+ * Query metadata helpers
+ */
+
+import { generateHash } from './hash.js';
+import { getNormalization } from '../utils/normalize.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ * @typedef {import('../api/redash.js').RedashQueryUpdate} RedashQueryUpdate
+ * @typedef {import('../api/redash.js').QueryParameter} QueryParameter
+ * @typedef {import('../api/redash.js').QuerySchedule} QuerySchedule
+ * @typedef {import('../utils/fileManager.js').QueryMetadata} QueryMetadata
+ */
+
+/**
+ * Metadata fields that can be edited locally and synced in both directions
+ * @typedef {Object} EditableMetadata
+ * @property {string} name
+ * @property {string} description
+ * @property {string[]} tags
+ * @property {number} data_source_id
+ * @property {QueryParameter[]} parameters
+ * @property {QuerySchedule | null} schedule
+ */
+
+/**
+ * Locally resolved metadata to store instead of the remote values
+ * @typedef {Object} LocalMetadata
+ * @property {EditableMetadata} fields
+ * @property {string} metadataHash
+ */
+
+/**
+ * Extract the editable metadata fields from a remote query
+ * @param {RedashQuery} query
+ * @returns {EditableMetadata}
+ */
+export function pickEditableMetadata(query) {
+  return {
+    name: query.name,
+    description: query.description || '',
+    tags: [...(query.tags || [])],
+    data_source_id: query.data_source_id,
+    parameters: query.options?.parameters || [],
+    schedule: query.schedule || null,
+  };
+}
+
+/**
+ * Extract the editable metadata fields from a local metadata file
+ * @param {QueryMetadata} metadata
+ * @returns {EditableMetadata}
+ */
+export function readEditableMetadata(metadata) {
+  return {
+    name: metadata.name,
+    description: metadata.description || '',
+    tags: [...(metadata.tags || [])],
+    data_source_id: metadata.data_source_id,
+    parameters: metadata.parameters || [],
+    schedule: metadata.schedule || null,
+  };
+}
+
+/**
+ * Generate hash of the editable metadata fields
+ * Tag order is ignored. Parameters and schedule only count when set, so
+ * hashes of queries without them match those written by older versions
+ * @param {EditableMetadata} fields
+ * @returns {string}
+ */
+export function hashMetadata(fields) {
+  return generateHash(
+    JSON.stringify({
+      name: fields.name,
+      description: fields.description,
+      tags: [...fields.tags].sort(),
+      data_source_id: fields.data_source_id,
+      ...(fields.parameters.length > 0 && { parameters: fields.parameters }),
+      ...(fields.schedule && { schedule: fields.schedule }),
+    })
+  );
+}
+
+/**
+ * Build the API payload that uploads editable metadata
+ * Other query options are carried over from the current remote query
+ * @param {EditableMetadata} fields
+ * @param {RedashQuery} query Current remote query
+ * @returns {RedashQueryUpdate}
+ */
+export function toQueryUpdate(fields, query) {
+  return {
+    name: fields.name,
+    description: fields.description,
+    tags: fields.tags,
+    data_source_id: fields.data_source_id,
+    options: { ...query.options, parameters: fields.parameters },
+    schedule: fields.schedule,
+  };
+}
+
+/**
+ * Build metadata object for a query
+ * @param {RedashQuery} query
+ * @param {string} hash Hash of the synced SQL under the configured normalization
+ * @param {LocalMetadata} [local] Editable fields to keep instead of the query's
+ * @returns {QueryMetadata}
+ */
+export function buildMetadata(query, hash, local) {
+  const fields = local ? local.fields : pickEditableMetadata(query);
+  const normalization = getNormalization();
+
+  return {
+    id: query.id,
+    name: fields.name,
+    description: fields.description,
+    created_at: query.created_at,
+    updated_at: query.updated_at,
+    data_source_id: fields.data_source_id,
+    user_id: query.user_id,
+    is_archived: query.is_archived || false,
+    is_draft: query.is_draft || false,
+    tags: fields.tags,
+    parameters: fields.parameters,
+    schedule: fields.schedule,
+    hash,
+    ...(normalization && { normalization }),
+    metadata_hash: local ? local.metadataHash : hashMetadata(fields),
+    downloaded_at: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Query parameter checks
+ * Compares {{ placeholders }} in SQL against the query's parameter definitions
+ */
+
+import { notice } from '../utils/output.js';
+
+/**
+ * @typedef {import('../api/redash.js').QueryParameter} QueryParameter
+ */
+
+/**
+ * @typedef {Object} ParameterMismatch
+ * @property {string[]} undefinedNames Placeholders without a parameter definition
+ * @property {string[]} unusedNames Parameters not referenced in the SQL
+ */
+
+/**
+ * Find the parameter names referenced by {{ }} placeholders in SQL
+ * Date range parts such as {{ period.start }} count as the parameter 'period'
+ * @param {string} sql
+ * @returns {string[]}
+ */
+export function findPlaceholders(sql) {
+  /** @type {Set<string>} */
+  const names = new Set();
+
+  for (const match of sql.matchAll(/\{\{\s*([^{}]+?)\s*\}\}/g)) {
+    const name = /** @type {string} */ (match[1]);
+    names.add(name.replace(/\.(start|end)$/, ''));
+  }
+
+  return [...names];
+}
+
+/**
+ * Compare placeholders in SQL with parameter definitions
+ * @param {string} sql
+ * @param {QueryParameter[]} parameters
+ * @returns {ParameterMismatch}
+ */
+export function checkParameters(sql, parameters) {
+  const placeholders = findPlaceholders(sql);
+  const defined = parameters.map((parameter) => parameter.name);
+
+  return {
+    undefinedNames: placeholders.filter((name) => !defined.includes(name)),
+    unusedNames: defined.filter((name) => !placeholders.includes(name)),
+  };
+}
+
+/**
+ * Log warnings for placeholders and parameter definitions that don't match
+ * @param {string} label
+ * @param {string} sql
+ * @param {QueryParameter[]} parameters
+ * @returns {void}
+ */
+export function warnParameterMismatch(label, sql, parameters) {
+  const { undefinedNames, unusedNames } = checkParameters(sql, parameters);
+
+  for (const name of undefinedNames) {
+    notice(`  [WARN] ${label} - {{ ${name} }} has no parameter definition`);
+  }
+  for (const name of unusedNames) {
+    notice(`  [WARN] ${label} - parameter '${name}' is not used in query.sql`);
+  }
+}
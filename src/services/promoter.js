@@ -0,0 +1,288 @@
+/**
+ * Query promotion service
+ * Copies queries from one profile's Redash instance to another, translating
+ * data sources and remembering which target query each source query became
+ */
+
+import { createClient, RedashApiError } from '../api/redash.js';
+import { createSession, confirmUpload } from './session.js';
+import {
+  pickEditableMetadata,
+  hashMetadata,
+  toQueryUpdate,
+} from './metadata.js';
+import { readPromotions, savePromotions } from '../utils/fileManager.js';
+import { showDiff, showJsonDiff } from '../utils/diff.js';
+import { log, notice } from '../utils/output.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
+ * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ * @typedef {import('../utils/fileManager.js').PromotionMapping} PromotionMapping
+ * @typedef {import('../utils/fileManager.js').PromotionFile} PromotionFile
+ * @typedef {import('./metadata.js').EditableMetadata} EditableMetadata
+ * @typedef {import('./session.js').SyncSession} SyncSession
+ */
+
+/**
+ * @typedef {Object} PromoteOptions
+ * @property {string} [from] Profile to copy queries from
+ * @property {string} [to] Profile to copy queries to
+ * @property {boolean} [yes] Promote without asking
+ */
+
+/**
+ * @typedef {Object} PromotionContext
+ * @property {RedashClient} source
+ * @property {RedashClient} target
+ * @property {string} to Name of the target profile
+ * @property {PromotionFile} promotions
+ * @property {PromotionMapping} mapping Mapping of this pair of profiles
+ * @property {SyncSession} session
+ */
+
+/**
+ * @typedef {'created' | 'updated' | 'unchanged' | 'skipped' | 'quit'} PromotionResult
+ */
+
+/**
+ * Translate the editable metadata of a source query for the target instance
+ * Query-based parameters are pointed at the promoted copy of their query
+ * @param {RedashQuery} query
+ * @param {PromotionMapping} mapping
+ * @returns {EditableMetadata}
+ */
+function translateMetadata(query, mapping) {
+  const fields = pickEditableMetadata(query);
+  const dataSourceId = mapping.data_sources[String(fields.data_source_id)];
+
+  if (dataSourceId === undefined) {
+    throw new Error(
+      `No target data source for data source ${fields.data_source_id} (add it to "data_sources" in promotions.json)`
+    );
+  }
+
+  const parameters = fields.parameters.map((parameter) => {
+    if (parameter.queryId === undefined) {
+      return parameter;
+    }
+
+    const queryId = mapping.queries[String(parameter.queryId)];
+
+    if (queryId === undefined) {
+      notice(
+        `  [WARN] Query ${query.id} - parameter '${parameter.name}' uses query ${parameter.queryId}, which has not been promoted`
+      );
+      return parameter;
+    }
+
+    return { ...parameter, queryId };
+  });
+
+  return { ...fields, data_source_id: dataSourceId, parameters };
+}
+
+/**
+ * Fetch the target query a source query was promoted to
+ * @param {PromotionContext} context
+ * @param {number} sourceId
+ * @returns {Promise<RedashQuery | null>} Null if it was never promoted, or if its copy was archived or deleted since
+ */
+async function fetchPromotedQuery(context, sourceId) {
+  const { target, to, mapping } = context;
+  const targetId = mapping.queries[String(sourceId)];
+
+  if (targetId === undefined) {
+    return null;
+  }
+
+  try {
+    const existing = await target.getQuery(targetId);
+
+    if (!existing.is_archived) {
+      return existing;
+    }
+  } catch (error) {
+    if (!(error instanceof RedashApiError) || error.status !== 404) {
+      throw error;
+    }
+  }
+
+  notice(
+    `  [WARN] Query ${sourceId} - its copy, query ${targetId} on '${to}', was archived or deleted, so a new copy is created`
+  );
+  return null;
+}
+
+/**
+ * Promote a single query, showing what changes on the target first
+ * @param {PromotionContext} context
+ * @param {number} sourceId
+ * @returns {Promise<PromotionResult>}
+ */
+async function promoteQuery(context, sourceId) {
+  const { source, target, to, mapping, session } = context;
+  const query = await source.getQuery(sourceId);
+  const fields = translateMetadata(query, mapping);
+  const sql = query.query || '';
+  const label = `Query ${sourceId}: ${query.name}`;
+  const existing = await fetchPromotedQuery(context, sourceId);
+  const existingFields = existing ? pickEditableMetadata(existing) : null;
+
+  const sqlChanged = !existing || existing.query !== sql;
+  const metadataChanged =
+    !existingFields || hashMetadata(existingFields) !== hashMetadata(fields);
+
+  if (existing && !sqlChanged && !metadataChanged) {
+    log(`  [UNCHANGED] ${label} (query ${existing.id} on '${to}')`);
+    return 'unchanged';
+  }
+
+  log(
+    existing
+      ? `  [UPDATE] ${label} → query ${existing.id} on '${to}'`
+      : `  [CREATE] ${label} → new query on '${to}'`
+  );
+
+  if (sqlChanged) {
+    await showDiff(sql, existing?.query || '', `${label} (SQL)`);
+  }
+  if (metadataChanged) {
+    await showJsonDiff(fields, existingFields, `${label} (metadata)`);
+  }
+
+  const response = await confirmUpload(
+    session,
+    `Promote ${label} to '${to}'?`,
+    { verb: 'Promoting' }
+  );
+
+  if (response !== 'yes') {
+    return response === 'quit' ? 'quit' : 'skipped';
+  }
+
+  if (existing) {
+    try {
+      // One request with the version compared, so the target is never left
+      // half promoted and edits made on it since are not overwritten
+      await target.updateQueryMetadata(
+        existing.id,
+        { ...toQueryUpdate(fields, existing), query: sql },
+        existing.version
+      );
+    } catch (error) {
+      if (error instanceof RedashApiError && error.isVersionConflict) {
+        throw new Error(
+          `query ${existing.id} changed on '${to}' since it was compared, promote again to see the changes`
+        );
+      }
+      throw error;
+    }
+    log(`  [PROMOTED] ${label} → query ${existing.id}`);
+    return 'updated';
+  }
+
+  const created = await target.createQuery({
+    name: fields.name,
+    query: sql,
+    data_source_id: fields.data_source_id,
+    description: fields.description,
+    tags: fields.tags,
+    options: { parameters: fields.parameters },
+    schedule: fields.schedule,
+  });
+
+  // Remember the copy right away, so a later failure can't cause duplicates
+  mapping.queries[String(sourceId)] = created.id;
+  await savePromotions(context.promotions);
+
+  log(`  [PROMOTED] ${label} → query ${created.id} (created)`);
+  return 'created';
+}
+
+/**
+ * Promote queries from one profile to another
+ * @param {string[]} args Positional arguments, the source query IDs
+ * @param {PromoteOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function promoteQueries(args, options = {}) {
+  const { from, to } = options;
+
+  if (!from || !to) {
+    throw new Error('Both --from and --to profiles are required');
+  }
+  if (from === to) {
+    throw new Error('--from and --to must be different profiles');
+  }
+  if (args.length === 0 || args.some((arg) => !/^\d+$/.test(arg))) {
+    throw new Error(
+      'Usage: npm run promote -- <query-id...> --from=<profile> --to=<profile>'
+    );
+  }
+
+  log('Connecting to Redash API...');
+
+  const promotions = await readPromotions();
+  const key = `${from}:${to}`;
+  const mapping = (promotions[key] ||= { data_sources: {}, queries: {} });
+  mapping.data_sources ||= {};
+  mapping.queries ||= {};
+
+  /** @type {PromotionContext} */
+  const context = {
+    source: createClient(from),
+    target: createClient(to),
+    to,
+    promotions,
+    mapping,
+    session: createSession({
+      upload: options.yes ? 'always' : 'prompt',
+      onConflict: 'skip',
+    }),
+  };
+
+  let created = 0;
+  let updated = 0;
+  let unchanged = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const arg of args) {
+    try {
+      const result = await promoteQuery(context, Number(arg));
+
+      if (result === 'quit') {
+        break;
+      } else if (result === 'created') {
+        created++;
+      } else if (result === 'updated') {
+        updated++;
+      } else if (result === 'unchanged') {
+        unchanged++;
+      } else {
+        skipped++;
+        log(`  [SKIP] Query ${arg}: Promotion declined`);
+      }
+    } catch (error) {
+      failed++;
+      console.error(
+        `  [ERROR] Failed to promote query ${arg}: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  const status = context.session.userQuit
+    ? 'Promotion interrupted'
+    : 'Promotion complete';
+  log(`\n${status} (${from} → ${to}):`);
+  log(`  Created: ${created}`);
+  log(`  Updated: ${updated}`);
+  log(`  Unchanged: ${unchanged}`);
+  log(`  Skipped: ${skipped}`);
+  log(`  Failed: ${failed}`);
+
+  if (failed > 0) {
+    throw new Error(`${failed} query(s) could not be promoted`);
+  }
+}
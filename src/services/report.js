@@ -0,0 +1,189 @@
+/**
+ * Sync report
+ * Events for what a sync did to each query, dashboard, snippet or alert,
+ * printed as NDJSON with --json, and the exit code summing up the sync
+ */
+
+import { emitEvent } from '../utils/output.js';
+
+/**
+ * @typedef {import('./downloader.js').SyncCounts} SyncCounts
+ * @typedef {import('./comparison.js').SyncAction} SyncAction
+ * @typedef {import('./visualizations.js').VisualizationAction} VisualizationAction
+ */
+
+/**
+ * 'query': the query as a whole, e.g. skipped or failed before comparing
+ * @typedef {'query' | 'sql' | 'metadata' | 'visualization'} QueryPart
+ */
+
+/**
+ * @typedef {'new' | 'unchanged' | 'not-modified' | 'downloaded' | 'uploaded' | 'merged' | 'declined' | 'conflict' | 'blocked' | 'failed' | 'created' | 'removed' | 'missing' | 'archived'} QueryAction
+ */
+
+/**
+ * @typedef {Object} QueryHashes
+ * @property {string | null} [local]
+ * @property {string | null} [cached]
+ * @property {string | null} [remote]
+ */
+
+/**
+ * @typedef {Object} QueryEvent
+ * @property {number} [id] Missing for drafts that could not be created
+ * @property {string} [name]
+ * @property {string} [path] Draft directory, for queries created from drafts
+ * @property {number} [visualization_id]
+ * @property {QueryPart} part
+ * @property {QueryAction} action
+ * @property {'local' | 'remote'} [resolution] Version chosen for a conflict
+ * @property {QueryHashes} [hashes] As compared before syncing
+ * @property {string} [message]
+ * @property {string} [error]
+ */
+
+/**
+ * What a sync would do to part of a query, as planned by status or --dry-run
+ * @typedef {Object} PlanEvent
+ * @property {number} [id] Missing for drafts
+ * @property {string} [name]
+ * @property {string} [path] Draft directory
+ * @property {number} [visualization_id]
+ * @property {QueryPart} part
+ * @property {SyncAction | VisualizationAction | 'draft'} action
+ * @property {QueryHashes} [hashes]
+ */
+
+/**
+ * Redash items synced like queries, also the event name of their events
+ * @typedef {'dashboard' | 'snippet' | 'alert'} ItemKind
+ */
+
+/**
+ * @typedef {'new' | 'unchanged' | 'downloaded' | 'uploaded' | 'declined' | 'conflict' | 'failed' | 'created' | 'removed' | 'warning'} ItemAction
+ */
+
+/**
+ * @typedef {Object} ItemEvent
+ * @property {number} [id] Missing for local files that could not be created
+ * @property {string} [name]
+ * @property {string} [path] Local file, for snippets created from or kept in one
+ * @property {ItemAction} action
+ * @property {'local' | 'remote'} [resolution] Version chosen for a conflict
+ * @property {QueryHashes} [hashes] As compared before syncing
+ * @property {string} [message]
+ * @property {string} [error]
+ */
+
+/**
+ * Counts that decide the exit code
+ * @typedef {Object} OutcomeCounts
+ * @property {number} failed
+ * @property {number} [blocked] Uploads blocked by the safety checks
+ * @property {number} conflicts Conflicts left unresolved
+ */
+
+/**
+ * Exit codes of sync, most severe first
+ */
+export const EXIT_CODES = {
+  clean: 0,
+  error: 1,
+  conflicts: 2,
+  changed: 3,
+};
+
+/**
+ * Report what happened to a query
+ * @param {QueryEvent} event
+ * @returns {void}
+ */
+export function reportQuery(event) {
+  emitEvent({ event: 'query', ...event });
+}
+
+/**
+ * Report what a sync would do to a query or draft
+ * @param {PlanEvent} event
+ * @returns {void}
+ */
+export function reportPlan(event) {
+  emitEvent({ event: 'plan', ...event });
+}
+
+/**
+ * Report what happened to a dashboard, snippet or alert
+ * @param {ItemKind} kind
+ * @param {ItemEvent} event
+ * @returns {void}
+ */
+export function reportItem(kind, event) {
+  emitEvent({ event: kind, ...event });
+}
+
+/**
+ * Report the outcome of a sync
+ * @param {'complete' | 'interrupted' | 'dry-run'} status
+ * @param {Record<string, number>} counts
+ * @param {number} exitCode
+ * @returns {void}
+ */
+export function reportSummary(status, counts, exitCode) {
+  // Keys are snake_case like the rest of the event
+  const snakeCounts = Object.fromEntries(
+    Object.entries(counts).map(([key, count]) => [
+      key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`),
+      count,
+    ])
+  );
+
+  emitEvent({
+    event: 'summary',
+    status,
+    counts: snakeCounts,
+    exit_code: exitCode,
+  });
+}
+
+/**
+ * @typedef {Object} ExitCodeOptions
+ * @property {boolean} [changes] Exit with the changed code if anything changed
+ */
+
+/**
+ * Sum up a sync as an exit code
+ * Failed items and conflicts left unresolved always count. Changes only
+ * count when asked for, so a sync that applied them still succeeds
+ * @param {OutcomeCounts} counts
+ * @param {number} changes Items changed locally or in Redash
+ * @param {ExitCodeOptions} [options]
+ * @returns {number} One of EXIT_CODES
+ */
+export function getExitCode(counts, changes, options = {}) {
+  if (counts.failed > 0 || (counts.blocked ?? 0) > 0) {
+    return EXIT_CODES.error;
+  } else if (counts.conflicts > 0) {
+    return EXIT_CODES.conflicts;
+  }
+
+  return options.changes && changes > 0 ? EXIT_CODES.changed : EXIT_CODES.clean;
+}
+
+/**
+ * Count the changes a query sync applied locally or in Redash
+ * @param {SyncCounts} counts
+ * @returns {number}
+ */
+export function countQueryChanges(counts) {
+  return (
+    counts.downloaded +
+    counts.created +
+    counts.updatedFromRemote +
+    counts.updatedToRemote +
+    counts.metadataFromRemote +
+    counts.metadataToRemote +
+    counts.visualizationsFromRemote +
+    counts.visualizationsToRemote +
+    counts.archivedRemotely
+  );
+}
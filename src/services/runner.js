@@ -0,0 +1,298 @@
+/**
+ * Query execution service
+ * Runs local or remote SQL in Redash and saves the results next to the query
+ */
+
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { createClient } from '../api/redash.js';
+import { hasConflictMarkers } from './merge.js';
+import { findPlaceholders } from './parameters.js';
+import {
+  getQuerySqlPath,
+  readQueryMetadata,
+  readQuerySql,
+  writeQueryResults,
+} from '../utils/fileManager.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
+ * @typedef {import('../api/redash.js').RedashJob} RedashJob
+ * @typedef {import('../api/redash.js').RedashQueryResult} RedashQueryResult
+ * @typedef {import('../api/redash.js').QueryParameter} QueryParameter
+ * @typedef {import('../api/redash.js').ParameterValues} ParameterValues
+ */
+
+/**
+ * @typedef {Object} RunOptions
+ * @property {boolean} [remote] Run the SQL stored in Redash instead of query.sql
+ * @property {string[]} [parameters] Values as 'name=value' or 'name.start=value'
+ * @property {'csv' | 'json'} [format] Output format (default: csv)
+ * @property {number} [timeout] Seconds to wait for the job (default: 300)
+ */
+
+/**
+ * @typedef {Object} QuerySource
+ * @property {string} sql
+ * @property {number} dataSourceId
+ * @property {QueryParameter[]} parameters
+ */
+
+const POLL_INTERVAL_MS = 1000;
+const DEFAULT_TIMEOUT_SECONDS = 300;
+
+const JOB_PENDING = 1;
+const JOB_STARTED = 2;
+const JOB_FAILURE = 4;
+const JOB_CANCELLED = 5;
+
+/**
+ * Parse 'name=value' arguments into parameter values
+ * 'name.start=value' and 'name.end=value' set the parts of a date range
+ * @param {string[]} args
+ * @returns {ParameterValues}
+ */
+export function parseParameterValues(args) {
+  /** @type {ParameterValues} */
+  const values = {};
+
+  for (const arg of args) {
+    const separator = arg.indexOf('=');
+
+    if (separator <= 0) {
+      throw new Error(`Invalid parameter '${arg}' (expected name=value)`);
+    }
+
+    const key = arg.slice(0, separator);
+    const value = arg.slice(separator + 1);
+    const range = key.match(/^(.+)\.(start|end)$/);
+
+    if (range) {
+      const name = /** @type {string} */ (range[1]);
+      const current = values[name];
+      values[name] = {
+        ...(current && typeof current === 'object' ? current : {}),
+        [/** @type {string} */ (range[2])]: value,
+      };
+    } else {
+      values[key] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Combine parameter defaults with values from the command line
+ * @param {string} sql
+ * @param {QueryParameter[]} parameters
+ * @param {ParameterValues} overrides
+ * @returns {ParameterValues}
+ */
+function resolveParameterValues(sql, parameters, overrides) {
+  /** @type {ParameterValues} */
+  const values = {};
+
+  for (const parameter of parameters) {
+    if (parameter.value !== undefined && parameter.value !== null) {
+      values[parameter.name] = parameter.value;
+    }
+  }
+
+  Object.assign(values, overrides);
+
+  const missing = findPlaceholders(sql).filter((name) => !(name in values));
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing value for parameter(s): ${missing.join(', ')} (pass --param name=value)`
+    );
+  }
+
+  return values;
+}
+
+/**
+ * Load the SQL, data source and parameters to run
+ * @param {RedashClient} client
+ * @param {number} queryId
+ * @param {boolean} remote
+ * @returns {Promise<QuerySource>}
+ */
+async function loadQuerySource(client, queryId, remote) {
+  if (remote) {
+    const query = await client.getQuery(queryId);
+    return {
+      sql: query.query || '',
+      dataSourceId: query.data_source_id,
+      parameters: query.options?.parameters || [],
+    };
+  }
+
+  const sql = await readQuerySql(queryId);
+  const metadata = await readQueryMetadata(queryId);
+
+  if (sql === null || !metadata) {
+    throw new Error(
+      `queries/${queryId} not found locally (run sync first, or use --remote)`
+    );
+  }
+  if (hasConflictMarkers(sql)) {
+    throw new Error(
+      `${path.relative(process.cwd(), await getQuerySqlPath(queryId))} contains conflict markers, resolve them first`
+    );
+  }
+
+  return {
+    sql,
+    dataSourceId: metadata.data_source_id,
+    parameters: metadata.parameters || [],
+  };
+}
+
+/**
+ * Poll a job until it finishes and fetch its results
+ * Jobs still running at the timeout are cancelled
+ * @param {RedashClient} client
+ * @param {RedashJob} job
+ * @param {number} timeout Seconds to wait
+ * @returns {Promise<RedashQueryResult>}
+ */
+export async function waitForJob(client, job, timeout) {
+  const deadline = Date.now() + timeout * 1000;
+  let current = job;
+
+  while (current.status === JOB_PENDING || current.status === JOB_STARTED) {
+    if (Date.now() >= deadline) {
+      await client.cancelJob(job.id).catch(() => {});
+      throw new Error(
+        `Query did not finish within ${timeout}s and was cancelled`
+      );
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+    current = await client.getJob(job.id);
+  }
+
+  if (current.status === JOB_FAILURE) {
+    throw new Error(`Query failed: ${current.error || 'unknown error'}`);
+  }
+  if (current.status === JOB_CANCELLED) {
+    throw new Error('Query execution was cancelled');
+  }
+  if (!current.query_result_id) {
+    throw new Error(`Job ${job.id} finished without a result`);
+  }
+
+  return client.getQueryResult(current.query_result_id);
+}
+
+/**
+ * Format a single CSV field
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text =
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Format query results as CSV with a header row
+ * @param {RedashQueryResult} result
+ * @returns {string}
+ */
+export function formatCsv(result) {
+  const { columns, rows } = result.data;
+  const lines = [
+    columns.map((column) => formatCsvField(column.name)).join(','),
+  ];
+
+  for (const row of rows) {
+    lines.push(
+      columns.map((column) => formatCsvField(row[column.name])).join(',')
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format query results as JSON
+ * @param {RedashQueryResult} result
+ * @returns {string}
+ */
+export function formatJson(result) {
+  return `${JSON.stringify(
+    {
+      retrieved_at: result.retrieved_at,
+      runtime: result.runtime,
+      columns: result.data.columns,
+      rows: result.data.rows,
+    },
+    null,
+    2
+  )}\n`;
+}
+
+/**
+ * Run a query in Redash and save its results next to the query
+ * @param {string[]} args Positional arguments, the query ID
+ * @param {RunOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function runQuery(args, options = {}) {
+  const [idArg, ...extra] = args;
+
+  if (!idArg || extra.length > 0 || !/^\d+$/.test(idArg)) {
+    throw new Error(
+      'Usage: npm run run -- <query-id> [--remote] [--param name=value]'
+    );
+  }
+
+  const queryId = Number(idArg);
+  const format = options.format || 'csv';
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT_SECONDS;
+
+  console.log('Connecting to Redash API...');
+
+  const client = createClient();
+  const source = await loadQuerySource(client, queryId, !!options.remote);
+  const parameters = resolveParameterValues(
+    source.sql,
+    source.parameters,
+    parseParameterValues(options.parameters || [])
+  );
+
+  console.log(
+    `Running ${options.remote ? 'remote' : 'local'} SQL of query ${queryId}...`
+  );
+
+  const response = await client.executeQuery({
+    query: source.sql,
+    data_source_id: source.dataSourceId,
+    parameters,
+    max_age: 0,
+  });
+  const result =
+    'query_result' in response
+      ? response.query_result
+      : await waitForJob(client, response.job, timeout);
+
+  const resultsPath = await writeQueryResults(
+    queryId,
+    format,
+    format === 'json' ? formatJson(result) : formatCsv(result)
+  );
+
+  console.log(
+    `  [RESULT] Query ${queryId}: ${result.data.rows.length} row(s) in ${result.runtime.toFixed(2)}s`
+  );
+  console.log(`  Saved to ${path.relative(process.cwd(), resultsPath)}`);
+}
@@ -0,0 +1,306 @@
+/**
+ * SQL safety checks
+ * Catch SQL that is likely broken or destructive before it is uploaded:
+ * empty or truncated files, unbalanced quotes and parentheses, unterminated
+ * {{ }} placeholders and statements forbidden with REDASH_FORBIDDEN
+ */
+
+import { RedashApiError } from '../api/redash.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
+ */
+
+/**
+ * 'error' blocks the upload unless overridden, 'warning' is only shown
+ * @typedef {Object} SafetyIssue
+ * @property {'error' | 'warning'} severity
+ * @property {string} message
+ */
+
+/**
+ * SQL with string literals and comments blanked out, keeping line breaks
+ * @typedef {Object} ScannedSql
+ * @property {string} code
+ * @property {string[]} errors
+ */
+
+// Size changes are only judged for cached SQL at least this long
+const MIN_SIZE_FOR_CHANGE = 200;
+
+// Data source types whose strings take backslash escapes, like MySQL's
+const BACKSLASH_ESCAPE_TYPES = new Set([
+  'mysql',
+  'rds_mysql',
+  'memsql',
+  'bigquery',
+  'clickhouse',
+]);
+
+// Opening tag of a dollar-quoted string, e.g. $$ or $body$
+const DOLLAR_QUOTE_PATTERN = /^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/;
+
+/**
+ * Forbidden statement rules, checked against each statement's code
+ * @type {Record<string, (statement: string) => boolean>}
+ */
+const FORBIDDEN_RULES = {
+  drop: (statement) => /^\s*DROP\b/i.test(statement),
+  truncate: (statement) => /^\s*TRUNCATE\b/i.test(statement),
+  'delete-without-where': (statement) =>
+    /^\s*DELETE\b/i.test(statement) && !/\bWHERE\b/i.test(statement),
+  'update-without-where': (statement) =>
+    /^\s*UPDATE\b/i.test(statement) && !/\bWHERE\b/i.test(statement),
+};
+
+/**
+ * Blank out string literals, quoted identifiers and comments, and report
+ * the ones left open and unbalanced parentheses
+ * Backslashes only escape in E'...' strings, unless the data source takes
+ * them everywhere. Dollar-quoted strings ($$...$$) are skipped whole
+ * @param {string} sql
+ * @param {boolean} backslashEscapes Whether every string takes backslash escapes
+ * @returns {ScannedSql}
+ */
+function scanSql(sql, backslashEscapes) {
+  /** @type {string[]} */
+  const errors = [];
+  /** @type {number[]} Lines of the parentheses still open */
+  const open = [];
+  let code = '';
+  let line = 1;
+
+  for (let index = 0; index < sql.length; index++) {
+    const char = sql.charAt(index);
+    // A $ right after a name is part of it, e.g. a$b$c
+    const dollarQuote =
+      char === '$' && !/[\w$]/.test(sql.charAt(index - 1))
+        ? sql.slice(index).match(DOLLAR_QUOTE_PATTERN)?.[0]
+        : undefined;
+
+    if (dollarQuote) {
+      const end = sql.indexOf(dollarQuote, index + dollarQuote.length);
+      const literal = sql.slice(
+        index,
+        end === -1 ? sql.length : end + dollarQuote.length
+      );
+
+      if (end === -1) {
+        errors.push(
+          `dollar-quoted string opened on line ${line} is never closed`
+        );
+      }
+      code += literal.replace(/[^\n]/g, ' ');
+      line += literal.split('\n').length - 1;
+      index += literal.length - 1;
+    } else if (char === "'" || char === '"' || char === '`') {
+      const start = line;
+      const escapes =
+        (backslashEscapes && char !== '`') ||
+        (char === "'" &&
+          /[Ee]/.test(sql.charAt(index - 1)) &&
+          !/[\w$]/.test(sql.charAt(index - 2)));
+      let end = index + 1;
+
+      // Doubled quotes, and backslashes where they escape, escape the quote
+      while (end < sql.length) {
+        const next = sql.charAt(end);
+        if (next === '\\' && escapes) {
+          end += 2;
+        } else if (next === char && sql.charAt(end + 1) === char) {
+          end += 2;
+        } else if (next === char) {
+          break;
+        } else {
+          end++;
+        }
+      }
+
+      const literal = sql.slice(index, end + 1);
+      if (end >= sql.length) {
+        const kind = char === "'" ? 'string' : 'quoted identifier';
+        errors.push(`${kind} opened on line ${start} is never closed`);
+      }
+      code += `${char}${literal.slice(1, -1).replace(/[^\n]/g, ' ')}${char}`;
+      line += literal.split('\n').length - 1;
+      index = end;
+    } else if (sql.startsWith('--', index)) {
+      const end = sql.indexOf('\n', index);
+      index = (end === -1 ? sql.length : end) - 1;
+    } else if (sql.startsWith('/*', index)) {
+      const end = sql.indexOf('*/', index + 2);
+      const comment = sql.slice(index, end === -1 ? sql.length : end + 2);
+
+      if (end === -1) {
+        errors.push(`/* comment opened on line ${line} is never closed`);
+      }
+      code += comment.replace(/[^\n]/g, ' ');
+      line += comment.split('\n').length - 1;
+      index += comment.length - 1;
+    } else {
+      if (char === '\n') {
+        line++;
+      } else if (char === '(') {
+        open.push(line);
+      } else if (char === ')' && open.pop() === undefined) {
+        errors.push(`) on line ${line} has no matching (`);
+      }
+      code += char;
+    }
+  }
+
+  for (const start of open) {
+    errors.push(`( opened on line ${start} is never closed`);
+  }
+
+  return { code, errors };
+}
+
+/**
+ * Find {{ placeholders that are never closed with }}
+ * @param {string} sql
+ * @returns {string[]}
+ */
+function checkPlaceholders(sql) {
+  /** @type {string[]} */
+  const errors = [];
+  const lines = sql.split('\n');
+
+  for (const [index, text] of lines.entries()) {
+    let start = text.indexOf('{{');
+
+    while (start !== -1) {
+      const end = text.indexOf('}}', start + 2);
+      const nextStart = text.indexOf('{{', start + 2);
+
+      if (end === -1 || (nextStart !== -1 && nextStart < end)) {
+        errors.push(`{{ on line ${index + 1} is never closed with }}`);
+      }
+      start = nextStart;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the forbidden statement rules set with REDASH_FORBIDDEN
+ * All rules apply if it isn't set, none if it is empty
+ * @returns {string[]}
+ */
+export function getForbiddenRules() {
+  const setting = process.env.REDASH_FORBIDDEN;
+
+  if (setting === undefined) {
+    return Object.keys(FORBIDDEN_RULES);
+  }
+
+  const rules = setting
+    .split(',')
+    .map((rule) => rule.trim())
+    .filter(Boolean);
+  const unknown = rules.find((rule) => !(rule in FORBIDDEN_RULES));
+
+  if (unknown) {
+    throw new Error(
+      `Invalid REDASH_FORBIDDEN rule '${unknown}' (expected ${Object.keys(FORBIDDEN_RULES).join(', ')})`
+    );
+  }
+
+  return rules;
+}
+
+/**
+ * Get the custom forbidden pattern set with REDASH_FORBIDDEN_PATTERN
+ * @returns {RegExp | null}
+ */
+function getForbiddenPattern() {
+  const pattern = process.env.REDASH_FORBIDDEN_PATTERN;
+
+  if (!pattern) {
+    return null;
+  }
+
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(
+      `Invalid REDASH_FORBIDDEN_PATTERN: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+/**
+ * Fetch the type of each data source by ID, to check SQL in its dialect
+ * Users who may not list data sources get the checks for standard SQL
+ * @param {RedashClient} client
+ * @returns {Promise<Map<number, string>>}
+ */
+export async function fetchDataSourceTypes(client) {
+  try {
+    const dataSources = await client.getDataSources();
+    return new Map(dataSources.map(({ id, type }) => [id, type]));
+  } catch (error) {
+    if (!(error instanceof RedashApiError) || error.isAuthError) {
+      throw error;
+    }
+    return new Map();
+  }
+}
+
+/**
+ * Check SQL before it is uploaded
+ * @param {string} sql
+ * @param {string | null} [cachedSql] SQL as of the last sync, to spot truncated files
+ * @param {string | null} [dataSourceType] Type of the query's data source, e.g. 'pg' or 'mysql'
+ * @returns {SafetyIssue[]}
+ */
+export function checkSqlSafety(sql, cachedSql = null, dataSourceType = null) {
+  if (!sql.trim()) {
+    return [{ severity: 'error', message: 'query.sql is empty' }];
+  }
+
+  const { code, errors } = scanSql(
+    sql,
+    dataSourceType !== null && BACKSLASH_ESCAPE_TYPES.has(dataSourceType)
+  );
+  /** @type {SafetyIssue[]} */
+  const issues = [...errors, ...checkPlaceholders(sql)].map((message) => ({
+    severity: 'error',
+    message,
+  }));
+  const rules = getForbiddenRules();
+  const pattern = getForbiddenPattern();
+
+  for (const [index, statement] of code.split(';').entries()) {
+    const forbidden = rules.filter((rule) =>
+      FORBIDDEN_RULES[rule]?.(statement)
+    );
+
+    if (pattern?.test(statement)) {
+      forbidden.push('REDASH_FORBIDDEN_PATTERN');
+    }
+    for (const rule of forbidden) {
+      issues.push({
+        severity: 'error',
+        message: `statement ${index + 1} is forbidden (${rule})`,
+      });
+    }
+  }
+
+  if (cachedSql && cachedSql.length >= MIN_SIZE_FOR_CHANGE) {
+    if (sql.length < cachedSql.length / 2) {
+      issues.push({
+        severity: 'warning',
+        message: `query.sql shrank from ${cachedSql.length} to ${sql.length} characters since the last sync`,
+      });
+    } else if (sql.length > cachedSql.length * 3) {
+      issues.push({
+        severity: 'warning',
+        message: `query.sql grew from ${cachedSql.length} to ${sql.length} characters since the last sync`,
+      });
+    }
+  }
+
+  return issues;
+}
@@ -0,0 +1,201 @@
+/**
+ * Sync scope
+ * Selects which remote queries and local drafts a sync processes
+ */
+
+import { listQueryDrafts, readQueryDraft } from '../utils/fileManager.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
+ * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ */
+
+/**
+ * @typedef {Object} SyncScope
+ * @property {boolean} [all] All queries visible to the API key, not only your own
+ * @property {number[]} [ids] Only these queries
+ * @property {string[]} [tags] Queries with all of these tags
+ * @property {number} [dataSourceId]
+ * @property {string} [owner] User ID or email of the owner
+ * @property {string} [search] Case-insensitive text in the name, description or SQL
+ * @property {'exclude' | 'include' | 'only'} [archived] Archived queries (default: exclude)
+ */
+
+/**
+ * Whether the scope narrows the sync down from all of your own queries
+ * @param {SyncScope} scope
+ * @returns {boolean}
+ */
+export function isScoped(scope) {
+  return Boolean(
+    (scope.ids && scope.ids.length > 0) ||
+      (scope.tags && scope.tags.length > 0) ||
+      scope.dataSourceId !== undefined ||
+      scope.owner ||
+      scope.search ||
+      scope.archived === 'only'
+  );
+}
+
+/**
+ * Check the fields shared by remote queries and local drafts
+ * @param {SyncScope} scope
+ * @param {{ tags: string[], dataSourceId: number | undefined, text: string[] }} fields
+ * @returns {boolean}
+ */
+function matchesFields(scope, fields) {
+  if (scope.tags && !scope.tags.every((tag) => fields.tags.includes(tag))) {
+    return false;
+  }
+  if (
+    scope.dataSourceId !== undefined &&
+    fields.dataSourceId !== scope.dataSourceId
+  ) {
+    return false;
+  }
+  if (scope.search) {
+    const search = scope.search.toLowerCase();
+    return fields.text.some((text) => text.toLowerCase().includes(search));
+  }
+  return true;
+}
+
+/**
+ * Check whether a remote query is in scope
+ * @param {RedashQuery} query
+ * @param {SyncScope} scope
+ * @returns {boolean}
+ */
+export function matchesScope(query, scope) {
+  const archived = scope.archived || 'exclude';
+
+  if (archived === 'exclude' && query.is_archived) {
+    return false;
+  }
+  if (archived === 'only' && !query.is_archived) {
+    return false;
+  }
+  if (scope.owner) {
+    const ownerId = query.user?.id ?? query.user_id;
+    if (
+      String(ownerId) !== scope.owner &&
+      query.user?.email?.toLowerCase() !== scope.owner.toLowerCase()
+    ) {
+      return false;
+    }
+  }
+
+  return matchesFields(scope, {
+    tags: query.tags || [],
+    dataSourceId: query.data_source_id,
+    text: [query.name, query.description || '', query.query || ''],
+  });
+}
+
+/**
+ * Check whether a local draft is in scope
+ * Drafts have no ID, owner or archived state yet, so scopes selecting by
+ * those never include drafts
+ * @param {string} draftName
+ * @param {SyncScope} scope
+ * @returns {Promise<boolean>}
+ */
+async function draftMatchesScope(draftName, scope) {
+  if (
+    (scope.ids && scope.ids.length > 0) ||
+    scope.owner ||
+    scope.archived === 'only'
+  ) {
+    return false;
+  }
+  if (!isScoped(scope)) {
+    return true;
+  }
+
+  const { sql, draft } = await readQueryDraft(draftName);
+
+  if (!draft) {
+    return false;
+  }
+
+  return matchesFields(scope, {
+    tags: draft.tags || [],
+    dataSourceId: draft.data_source_id,
+    text: [draft.name || '', draft.description || '', sql || ''],
+  });
+}
+
+/**
+ * List the local drafts in scope
+ * @param {SyncScope} [scope]
+ * @returns {Promise<string[]>}
+ */
+export async function listScopedDrafts(scope = {}) {
+  /** @type {string[]} */
+  const drafts = [];
+
+  for (const draftName of await listQueryDrafts()) {
+    if (await draftMatchesScope(draftName, scope)) {
+      drafts.push(draftName);
+    }
+  }
+
+  return drafts;
+}
+
+/**
+ * Fetch the remote queries in scope
+ * Selected IDs are all fetched before the first one is yielded, so a
+ * mistyped ID fails before anything is synced
+ * @param {RedashClient} client
+ * @param {SyncScope} [scope]
+ * @returns {AsyncGenerator<RedashQuery, void, unknown>}
+ */
+export async function* fetchQueries(client, scope = {}) {
+  if (scope.ids && scope.ids.length > 0) {
+    /** @type {RedashQuery[]} */
+    const queries = [];
+
+    for (const id of scope.ids) {
+      queries.push(await client.getQuery(id));
+    }
+
+    // Selected queries count even when archived, unless excluded explicitly
+    const idScope = { ...scope, archived: scope.archived || 'include' };
+    yield* queries.filter((query) => matchesScope(query, idScope));
+    return;
+  }
+
+  const archived = scope.archived || 'exclude';
+  /** @type {number | undefined} */
+  let currentUserId;
+
+  if (archived !== 'exclude' && !scope.all) {
+    // The archive lists everyone's queries
+    currentUserId = (await client.getCurrentUser()).id;
+  }
+
+  const lists = [
+    ...(archived !== 'only' ? [{ archived: false }] : []),
+    ...(archived !== 'exclude' ? [{ archived: true }] : []),
+  ];
+
+  for (const list of lists) {
+    for await (const query of client.getAllQueries({
+      all: scope.all,
+      archived: list.archived,
+      tags: scope.tags,
+    })) {
+      if (
+        list.archived &&
+        currentUserId !== undefined &&
+        (query.user?.id ?? query.user_id) !== currentUserId
+      ) {
+        continue;
+      }
+      if (matchesScope(query, scope)) {
+        yield query;
+      }
+    }
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * Sync session state
+ * Prompts, batch modes and policies shared by every item of one sync run
+ */
+
+import readline from 'readline';
+import { getMessageStream, log, notice } from '../utils/output.js';
+
+/**
+ * @typedef {'yes' | 'skip' | 'yes-all' | 'skip-all' | 'quit'} PromptResponse
+ */
+
+/**
+ * @typedef {'local' | 'remote' | 'skip' | 'local-all' | 'remote-all'} ConflictResponse
+ */
+
+/**
+ * @typedef {'prompt' | 'always' | 'never'} UploadPolicy
+ */
+
+/**
+ * @typedef {'prompt' | 'local' | 'remote' | 'skip' | 'fail'} ConflictPolicy
+ */
+
+/**
+ * @typedef {Object} SessionOptions
+ * @property {UploadPolicy} [upload] How to handle local modifications
+ * @property {ConflictPolicy} [onConflict] How to resolve conflicts
+ */
+
+/**
+ * @typedef {Object} SyncSession
+ * @property {ConflictPolicy} conflictPolicy
+ * @property {boolean} interactive Whether prompts can be shown
+ * @property {PromptResponse | null} batchMode
+ * @property {ConflictResponse | null} conflictBatchMode
+ * @property {boolean} userQuit
+ */
+
+/**
+ * @typedef {Object} DecisionOptions
+ * @property {string} [verb] Action named in automatic decisions (default: 'Uploading')
+ * @property {() => Promise<void>} [beforePrompt] Shows context, e.g. a diff, before prompting
+ */
+
+/**
+ * Prompt user for confirmation with support for batch operations
+ * @param {string} question
+ * @returns {Promise<PromptResponse>}
+ */
+async function promptUser(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: getMessageStream(),
+  });
+
+  return new Promise((resolve) => {
+    rl.question(`${question}\n(yes/skip/yes-all/skip-all/quit): `, (answer) => {
+      rl.close();
+      const normalized = answer.toLowerCase().trim();
+
+      if (normalized === 'yes') {
+        resolve('yes');
+      } else if (normalized === 'skip' || normalized === '') {
+        resolve('skip');
+      } else if (normalized === 'yes-all') {
+        resolve('yes-all');
+      } else if (normalized === 'skip-all') {
+        resolve('skip-all');
+      } else if (normalized === 'quit') {
+        resolve('quit');
+      } else {
+        // Invalid input, default to 'skip'
+        resolve('skip');
+      }
+    });
+  });
+}
+
+/**
+ * Prompt user for conflict resolution
+ * @param {string} question
+ * @returns {Promise<ConflictResponse>}
+ */
+async function promptConflict(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: getMessageStream(),
+  });
+
+  return new Promise((resolve) => {
+    rl.question(
+      `${question}\n(local/remote/skip/local-all/remote-all): `,
+      (answer) => {
+        rl.close();
+        const normalized = answer.toLowerCase().trim();
+
+        if (normalized === 'local') {
+          resolve('local');
+        } else if (normalized === 'remote') {
+          resolve('remote');
+        } else if (normalized === 'skip' || normalized === '') {
+          resolve('skip');
+        } else if (normalized === 'local-all') {
+          resolve('local-all');
+        } else if (normalized === 'remote-all') {
+          resolve('remote-all');
+        } else {
+          // Invalid input, default to 'skip'
+          resolve('skip');
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Start a sync session
+ * Prompts are only shown when stdin is a TTY; otherwise uploads left to
+ * 'prompt' are skipped
+ * @param {SessionOptions} [options]
+ * @returns {SyncSession}
+ */
+export function createSession(options = {}) {
+  const uploadPolicy = options.upload || 'prompt';
+  const conflictPolicy = options.onConflict || 'prompt';
+  const interactive = Boolean(process.stdin.isTTY);
+
+  // Batch operation state, seeded from the policies chosen up front
+  /** @type {SyncSession} */
+  const session = {
+    conflictPolicy,
+    interactive,
+    batchMode:
+      uploadPolicy === 'always'
+        ? 'yes-all'
+        : uploadPolicy === 'never'
+          ? 'skip-all'
+          : null,
+    conflictBatchMode:
+      conflictPolicy === 'local'
+        ? 'local-all'
+        : conflictPolicy === 'remote'
+          ? 'remote-all'
+          : null,
+    userQuit: false,
+  };
+
+  if (!interactive) {
+    if (session.batchMode === null) {
+      session.batchMode = 'skip-all';
+    }
+    if (conflictPolicy === 'prompt') {
+      log(
+        'Non-interactive session: local changes and unmergeable conflicts will not be resolved unless a policy is set'
+      );
+    }
+  }
+
+  return session;
+}
+
+/**
+ * Decide whether to apply a local change remotely
+ * Uses the batch mode if one is active, otherwise prompts
+ * @param {SyncSession} session
+ * @param {string} question
+ * @param {DecisionOptions} [options]
+ * @returns {Promise<'yes' | 'skip' | 'quit'>}
+ */
+export async function confirmUpload(session, question, options = {}) {
+  const verb = options.verb || 'Uploading';
+
+  if (session.batchMode === 'yes-all') {
+    log(`  [AUTO] ${verb} (batch mode: yes-all)`);
+    return 'yes';
+  } else if (session.batchMode === 'skip-all') {
+    log(`  [AUTO] Skipping (batch mode: skip-all)`);
+    return 'skip';
+  } else if (session.userQuit) {
+    return 'skip';
+  }
+
+  if (options.beforePrompt) {
+    await options.beforePrompt();
+  }
+
+  const response = await promptUser(question);
+
+  if (response === 'quit') {
+    notice(`\n[QUIT] User requested to quit. Stopping sync...`);
+    session.userQuit = true;
+    return 'quit';
+  } else if (response === 'yes-all') {
+    session.batchMode = 'yes-all';
+    log(`  [BATCH MODE] Enabled: uploading all remaining queries`);
+    return 'yes';
+  } else if (response === 'skip-all') {
+    session.batchMode = 'skip-all';
+    log(`  [BATCH MODE] Enabled: skipping all remaining queries`);
+    return 'skip';
+  }
+
+  return response;
+}
+
+/**
+ * Decide how to resolve a conflict
+ * Uses the batch mode or policy if one applies, otherwise prompts
+ * @param {SyncSession} session
+ * @param {string} label Item described in errors, e.g. 'query 123: Revenue'
+ * @param {string} question
+ * @param {DecisionOptions} [options]
+ * @returns {Promise<'local' | 'remote' | 'skip'>}
+ */
+export async function resolveConflict(session, label, question, options = {}) {
+  if (session.conflictBatchMode === 'local-all') {
+    log(`  [AUTO] Using local version (batch mode: local-all)`);
+    return 'local';
+  } else if (session.conflictBatchMode === 'remote-all') {
+    log(`  [AUTO] Using remote version (batch mode: remote-all)`);
+    return 'remote';
+  } else if (session.conflictPolicy === 'fail') {
+    throw new Error(`Conflict on ${label} (on-conflict policy is 'fail')`);
+  } else if (
+    session.conflictPolicy === 'skip' ||
+    !session.interactive ||
+    session.userQuit
+  ) {
+    return 'skip';
+  }
+
+  if (options.beforePrompt) {
+    await options.beforePrompt();
+  }
+
+  const response = await promptConflict(question);
+
+  if (response === 'local-all') {
+    session.conflictBatchMode = 'local-all';
+    log(
+      `  [BATCH MODE] Enabled: using local version for all remaining conflicts`
+    );
+    return 'local';
+  } else if (response === 'remote-all') {
+    session.conflictBatchMode = 'remote-all';
+    log(
+      `  [BATCH MODE] Enabled: using remote version for all remaining conflicts`
+    );
+    return 'remote';
+  }
+
+  return response;
+}
+
+/**
+ * Whether overlapping merge hunks should be written with conflict markers
+ * rather than resolved by a policy or batch mode chosen earlier
+ * Unattended runs leave conflicts untouched and only report them
+ * @param {SyncSession} session
+ * @returns {boolean}
+ */
+export function shouldMarkConflicts(session) {
+  return (
+    session.interactive &&
+    session.conflictBatchMode === null &&
+    session.conflictPolicy === 'prompt'
+  );
+}
@@ -0,0 +1,428 @@
+/**
+ * Query snippet sync service
+ * Three-way sync of query snippets, stored one per file under snippets/
+ * with a committed index of the hashes as of the last sync
+ */
+
+import { createClient } from '../api/redash.js';
+import { generateHash } from './hash.js';
+import { classifyHashes } from './comparison.js';
+import { confirmUpload } from './session.js';
+import {
+  createItemSyncContext,
+  finishItemSync,
+  itemLabel,
+  syncItem,
+} from './itemSync.js';
+import { reportItem } from './report.js';
+import {
+  ensureSnippetsDir,
+  listSnippetFiles,
+  readSnippetFile,
+  writeSnippetFile,
+  removeSnippetFile,
+  readSnippetIndex,
+  saveSnippetIndex,
+} from '../utils/fileManager.js';
+import { slugify } from '../utils/slug.js';
+import { log, notice } from '../utils/output.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashClient} RedashClient
+ * @typedef {import('../api/redash.js').RedashQuerySnippet} RedashQuerySnippet
+ * @typedef {import('../utils/fileManager.js').SnippetIndex} SnippetIndex
+ * @typedef {import('../utils/fileManager.js').SnippetIndexEntry} SnippetIndexEntry
+ * @typedef {import('./downloader.js').SyncOptions} SyncOptions
+ * @typedef {import('./itemSync.js').ItemSyncContext} ItemSyncContext
+ */
+
+/**
+ * Editable content of a snippet
+ * @typedef {Object} SnippetContent
+ * @property {string} trigger
+ * @property {string} description
+ * @property {string} snippet
+ */
+
+/**
+ * @typedef {import('./itemSync.js').ItemComparison<SnippetContent>} SnippetComparison
+ * @typedef {import('./itemSync.js').ItemSyncer<RedashQuerySnippet, SnippetContent>} SnippetSyncer
+ */
+
+const HEADER_PATTERN = /^--\s*(trigger|description):\s?(.*)$/;
+
+/**
+ * Extract the editable content of a remote snippet
+ * Trailing whitespace of the body is dropped, as editors add a final newline
+ * @param {RedashQuerySnippet} snippet
+ * @returns {SnippetContent}
+ */
+function pickSnippetContent(snippet) {
+  return {
+    trigger: snippet.trigger,
+    description: snippet.description || '',
+    snippet: snippet.snippet.trimEnd(),
+  };
+}
+
+/**
+ * Generate hash of a snippet's editable content
+ * @param {SnippetContent} content
+ * @returns {string}
+ */
+export function hashSnippet(content) {
+  return generateHash(
+    JSON.stringify({
+      trigger: content.trigger,
+      description: content.description,
+      snippet: content.snippet,
+    })
+  );
+}
+
+/**
+ * Render a snippet file: a header with the trigger and description, a blank
+ * line, then the body
+ * @param {SnippetContent} content
+ * @returns {string}
+ */
+export function formatSnippetFile(content) {
+  const header = [`-- trigger: ${content.trigger}`];
+
+  if (content.description) {
+    for (const line of content.description.split('\n')) {
+      header.push(`-- description: ${line}`);
+    }
+  }
+
+  return `${header.join('\n')}\n\n${content.snippet}\n`;
+}
+
+/**
+ * Parse a snippet file
+ * Repeated description lines are joined into a multi-line description
+ * @param {string} content
+ * @returns {SnippetContent | null} Null if the file has no trigger
+ */
+export function parseSnippetFile(content) {
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  /** @type {string[]} */
+  const description = [];
+  let trigger = '';
+  let index = 0;
+
+  for (; index < lines.length; index++) {
+    const match = (lines[index] ?? '').match(HEADER_PATTERN);
+
+    if (!match) {
+      break;
+    } else if (match[1] === 'trigger') {
+      trigger = (match[2] ?? '').trim();
+    } else {
+      description.push(match[2] ?? '');
+    }
+  }
+
+  // The blank line separating the header from the body
+  if (lines[index] === '') {
+    index++;
+  }
+
+  if (!trigger) {
+    return null;
+  }
+
+  return {
+    trigger,
+    description: description.join('\n'),
+    snippet: lines.slice(index).join('\n').trimEnd(),
+  };
+}
+
+/**
+ * File name of a snippet, e.g. '12-active-users.sql'
+ * @param {number} snippetId
+ * @param {string} trigger
+ * @returns {string}
+ */
+export function snippetFileName(snippetId, trigger) {
+  return `${snippetId}-${slugify(trigger)}.sql`;
+}
+
+/**
+ * Read and parse a snippet file
+ * @param {string} file
+ * @returns {Promise<SnippetContent | null>} Null if missing or without a trigger
+ */
+async function readSnippet(file) {
+  const content = await readSnippetFile(file);
+  return content === null ? null : parseSnippetFile(content);
+}
+
+/**
+ * Compare a remote snippet against its local file
+ * @param {RedashQuerySnippet} snippet
+ * @param {SnippetIndexEntry | undefined} entry
+ * @returns {Promise<SnippetComparison>}
+ */
+export async function compareSnippet(snippet, entry) {
+  const remote = pickSnippetContent(snippet);
+  const remoteHash = hashSnippet(remote);
+  const content = entry ? await readSnippetFile(entry.file) : null;
+
+  // Snippets deleted locally are downloaded again, like queries
+  if (!entry || content === null) {
+    return {
+      action: 'new',
+      local: null,
+      remote,
+      localHash: null,
+      cachedHash: null,
+      remoteHash,
+    };
+  }
+
+  const local = parseSnippetFile(content);
+  const localHash = local ? hashSnippet(local) : null;
+
+  return {
+    action: classifyHashes(localHash, entry.hash, remoteHash),
+    local,
+    remote,
+    localHash,
+    cachedHash: entry.hash,
+    remoteHash,
+    ...(!local && {
+      error: `snippets/${entry.file} has no "-- trigger:" line`,
+    }),
+  };
+}
+
+/**
+ * Save a remote snippet to its file and the index
+ * The file is renamed when the trigger changed
+ * @param {SnippetIndex} index
+ * @param {RedashQuerySnippet} snippet
+ * @param {string} [previousFile] File the snippet was read from
+ * @returns {Promise<string>} File name
+ */
+async function saveSnippet(index, snippet, previousFile) {
+  const content = pickSnippetContent(snippet);
+  const file = snippetFileName(snippet.id, content.trigger);
+  const oldFile = previousFile ?? index[String(snippet.id)]?.file;
+
+  await writeSnippetFile(file, formatSnippetFile(content));
+  if (oldFile && oldFile !== file) {
+    await removeSnippetFile(oldFile);
+  }
+
+  index[String(snippet.id)] = {
+    file,
+    hash: hashSnippet(content),
+    updated_at: snippet.updated_at,
+  };
+  await saveSnippetIndex(index);
+
+  return file;
+}
+
+/**
+ * Create the syncer of snippets listed in the index
+ * @param {RedashClient} client
+ * @param {SnippetIndex} index
+ * @returns {SnippetSyncer}
+ */
+function createSnippetSyncer(client, index) {
+  return {
+    kind: 'snippet',
+    describe: (snippet) => ({ id: snippet.id, name: snippet.trigger }),
+    url: (snippet) => `${client.baseUrl}/query_snippets/${snippet.id}`,
+    compare: (snippet) => compareSnippet(snippet, index[String(snippet.id)]),
+    pickContent: (content) => content,
+    save: async (snippet) => {
+      await saveSnippet(index, snippet);
+    },
+    upload: async (snippet, local) => {
+      await saveSnippet(
+        index,
+        await client.updateQuerySnippet(snippet.id, local)
+      );
+    },
+  };
+}
+
+/**
+ * Remove the files of snippets deleted in Redash
+ * Files changed since the last sync are kept, to be created again
+ * @param {ItemSyncContext} context
+ * @param {SnippetIndex} index
+ * @param {Set<string>} remoteIds
+ * @returns {Promise<void>}
+ */
+async function removeDeletedSnippets(context, index, remoteIds) {
+  const { counts } = context;
+
+  for (const [snippetId, entry] of Object.entries(index)) {
+    if (remoteIds.has(snippetId)) {
+      continue;
+    }
+
+    const local = await readSnippet(entry.file);
+    const path = `snippets/${entry.file}`;
+    delete index[snippetId];
+
+    if (!local || hashSnippet(local) === entry.hash) {
+      counts.removed++;
+      log(
+        `  [REMOVED] Snippet ${snippetId} - deleted in Redash, removing ${path}`
+      );
+      await removeSnippetFile(entry.file);
+      reportItem('snippet', { id: Number(snippetId), path, action: 'removed' });
+    } else {
+      counts.warnings++;
+      notice(
+        `  [WARN] ${itemLabel('snippet', Number(snippetId), local.trigger)} - deleted in Redash, keeping the local changes in ${path}`
+      );
+      reportItem('snippet', {
+        id: Number(snippetId),
+        name: local.trigger,
+        path,
+        action: 'warning',
+        message: 'deleted in Redash, local changes kept',
+      });
+    }
+    await saveSnippetIndex(index);
+  }
+}
+
+/**
+ * Create snippets in Redash from files missing from the index
+ * @param {ItemSyncContext} context
+ * @param {RedashClient} client
+ * @param {SnippetIndex} index
+ * @param {RedashQuerySnippet[]} snippets Snippets in Redash
+ * @returns {Promise<void>}
+ */
+async function createLocalSnippets(context, client, index, snippets) {
+  const { session, counts } = context;
+  const indexedFiles = new Set(Object.values(index).map(({ file }) => file));
+  const triggers = new Map(
+    snippets.map((snippet) => [snippet.trigger, snippet.id])
+  );
+
+  for (const file of await listSnippetFiles()) {
+    if (indexedFiles.has(file)) {
+      continue;
+    }
+
+    const path = `snippets/${file}`;
+    const local = await readSnippet(file);
+    const existingId = local ? triggers.get(local.trigger) : undefined;
+
+    if (!local || existingId !== undefined) {
+      const error = local
+        ? `trigger '${local.trigger}' is already used by snippet ${existingId}`
+        : 'no "-- trigger:" line';
+      counts.failed++;
+      console.error(`  [ERROR] ${path} - ${error}, not created`);
+      reportItem('snippet', {
+        name: local?.trigger,
+        path,
+        action: 'failed',
+        error,
+      });
+      continue;
+    }
+
+    log(`  [LOCAL NEW] ${path} (trigger '${local.trigger}')`);
+
+    const resolution = await confirmUpload(
+      session,
+      `Create snippet '${local.trigger}' in Redash?`,
+      { verb: 'Creating' }
+    );
+
+    if (resolution === 'quit') {
+      return;
+    } else if (resolution === 'skip') {
+      counts.skipped++;
+      log(`  [SKIP] ${path}: Creation declined`);
+      reportItem('snippet', { name: local.trigger, path, action: 'declined' });
+      continue;
+    }
+
+    try {
+      const snippet = await client.createQuerySnippet(local);
+      const savedFile = await saveSnippet(index, snippet, file);
+      counts.created++;
+      log(
+        `  [CREATED] ${itemLabel('snippet', snippet.id, snippet.trigger)} - saved as snippets/${savedFile}`
+      );
+      reportItem('snippet', {
+        id: snippet.id,
+        name: snippet.trigger,
+        path: `snippets/${savedFile}`,
+        action: 'created',
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      counts.failed++;
+      console.error(
+        `  [ERROR] Failed to create snippet from ${path}: ${message}`
+      );
+      reportItem('snippet', {
+        name: local.trigger,
+        path,
+        action: 'failed',
+        error: message,
+      });
+    }
+  }
+}
+
+/**
+ * Sync all query snippets with Redash
+ * Uses the same prompts, policies and output as the query sync. Snippet
+ * files missing from the index are created in Redash
+ * @param {SyncOptions} [options]
+ * @returns {Promise<number>} Exit code, see EXIT_CODES
+ */
+export async function syncSnippets(options = {}) {
+  log('Connecting to Redash API...');
+
+  const client = createClient();
+  const context = createItemSyncContext(options);
+  const { session, counts } = context;
+
+  await ensureSnippetsDir();
+
+  log('Fetching query snippets...');
+
+  const snippets = await client.getQuerySnippets();
+  const index = await readSnippetIndex();
+  const syncer = createSnippetSyncer(client, index);
+
+  counts.total = snippets.length;
+
+  for (const snippet of snippets) {
+    await syncItem(context, syncer, snippet);
+
+    if (session.userQuit) {
+      break;
+    }
+  }
+
+  if (!session.userQuit) {
+    await removeDeletedSnippets(
+      context,
+      index,
+      new Set(snippets.map((snippet) => String(snippet.id)))
+    );
+    await createLocalSnippets(context, client, index, snippets);
+  }
+
+  return finishItemSync(context, 'snippet', [
+    ['Created from local files', counts.created],
+    ['Removed (deleted in Redash)', counts.removed],
+  ]);
+}
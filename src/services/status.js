@@ -0,0 +1,258 @@
+/**
+ * Sync status service
+ * Reports what a sync would do without writing anything locally or remotely
+ */
+
+import { createClient } from '../api/redash.js';
+import { compareQuery } from './comparison.js';
+import { warnParameterMismatch } from './parameters.js';
+import { compareVisualizations } from './visualizations.js';
+import { fetchQueries, listScopedDrafts } from './scope.js';
+import { reportPlan, reportSummary } from './report.js';
+import { showDiff, showJsonDiff } from '../utils/diff.js';
+import { log } from '../utils/output.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ * @typedef {import('./comparison.js').SyncAction} SyncAction
+ * @typedef {import('./comparison.js').QueryComparison} QueryComparison
+ * @typedef {import('./visualizations.js').VisualizationComparison} VisualizationComparison
+ * @typedef {import('./scope.js').SyncScope} SyncScope
+ */
+
+/**
+ * @typedef {Object} StatusOptions
+ * @property {boolean} [diff] Show a diff for every query that would change
+ * @property {SyncScope} [scope] Queries and drafts to check (default: all of your own)
+ */
+
+/**
+ * @typedef {Object} PlannedQuery
+ * @property {RedashQuery} query
+ * @property {QueryComparison} comparison
+ */
+
+/**
+ * Group headings in display order
+ * @type {[Exclude<SyncAction, 'unchanged'>, string][]}
+ */
+const GROUPS = [
+  ['new', 'New (would download)'],
+  ['remote-updated', 'Remote updated (would download)'],
+  ['local-modified', 'Local modified (would offer upload)'],
+  ['conflict', 'Conflicts (would ask for resolution)'],
+];
+
+/**
+ * Combine the SQL and metadata actions into the one a query is listed under
+ * @param {QueryComparison} comparison
+ * @returns {SyncAction}
+ */
+function overallAction(comparison) {
+  const { action, metadataAction } = comparison;
+
+  if (metadataAction === 'unchanged' || metadataAction === action) {
+    return action;
+  } else if (action === 'unchanged') {
+    return metadataAction;
+  } else if (action === 'conflict' || metadataAction === 'conflict') {
+    return 'conflict';
+  }
+  // One side changed remotely, the other locally - needs local changes uploaded
+  return 'local-modified';
+}
+
+/**
+ * Describe which parts of a query are affected
+ * @param {QueryComparison} comparison
+ * @returns {string}
+ */
+function describeParts(comparison) {
+  const { action, metadataAction } = comparison;
+
+  if (action === 'new' || metadataAction === 'unchanged') {
+    return '';
+  } else if (action === 'unchanged') {
+    return ' (metadata)';
+  }
+  return ` (SQL: ${action}, metadata: ${metadataAction})`;
+}
+
+/**
+ * Report the planned actions of a query's SQL and metadata
+ * @param {RedashQuery} query
+ * @param {QueryComparison} comparison
+ * @returns {void}
+ */
+function reportQueryPlan(query, comparison) {
+  reportPlan({
+    id: query.id,
+    name: query.name,
+    part: 'sql',
+    action: comparison.action,
+    hashes: {
+      local: comparison.localHash,
+      cached: comparison.cachedHash,
+      remote: comparison.remoteHash,
+    },
+  });
+  reportPlan({
+    id: query.id,
+    name: query.name,
+    part: 'metadata',
+    action: comparison.metadataAction,
+    hashes: {
+      local: comparison.localMetadataHash,
+      cached: comparison.cachedMetadataHash,
+      remote: comparison.remoteMetadataHash,
+    },
+  });
+}
+
+/**
+ * Show the three-way sync plan for all queries
+ * With JSON output, each part of each query is also reported as an event
+ * @param {StatusOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function showStatus(options = {}) {
+  log('Connecting to Redash API...');
+
+  const client = createClient();
+
+  log('Fetching queries...');
+
+  /** @type {Record<SyncAction, PlannedQuery[]>} */
+  const plan = {
+    new: [],
+    unchanged: [],
+    'remote-updated': [],
+    'local-modified': [],
+    conflict: [],
+  };
+  /** @type {VisualizationComparison[]} */
+  const visualizationChanges = [];
+  let total = 0;
+
+  for await (const query of fetchQueries(client, options.scope)) {
+    total++;
+    const comparison = await compareQuery(query);
+    plan[overallAction(comparison)].push({ query, comparison });
+    reportQueryPlan(query, comparison);
+
+    if (comparison.metadata) {
+      const { visualizations = [] } = await client.getQuery(query.id);
+      const visualizationComparisons = await compareVisualizations(
+        query.id,
+        visualizations,
+        comparison.metadata.visualization_hashes || {}
+      );
+      for (const visualization of visualizationComparisons) {
+        reportPlan({
+          id: query.id,
+          name: query.name,
+          visualization_id: visualization.id,
+          part: 'visualization',
+          action: visualization.action,
+          hashes: {
+            local: visualization.localHash,
+            cached: visualization.cachedHash,
+            remote: visualization.remoteHash,
+          },
+        });
+        if (visualization.action !== 'unchanged') {
+          visualizationChanges.push(visualization);
+        }
+      }
+    }
+  }
+
+  for (const [action, heading] of GROUPS) {
+    const entries = plan[action];
+
+    if (entries.length === 0) {
+      continue;
+    }
+
+    log(`\n${heading}: ${entries.length}`);
+
+    for (const { query, comparison } of entries) {
+      log(`  Query ${query.id}: ${query.name}${describeParts(comparison)}`);
+      warnParameterMismatch(
+        `Query ${query.id}: ${query.name}`,
+        comparison.localSql ?? comparison.remoteSql,
+        (comparison.localFields || comparison.remoteFields).parameters
+      );
+
+      if (options.diff && comparison.action !== 'unchanged') {
+        await showDiff(
+          comparison.localSql || '',
+          comparison.remoteSql,
+          `Query ${query.id}: ${query.name}`
+        );
+      }
+      if (
+        options.diff &&
+        comparison.localFields &&
+        comparison.metadataAction !== 'unchanged'
+      ) {
+        await showJsonDiff(
+          comparison.localFields,
+          comparison.remoteFields,
+          `Query ${query.id}: ${query.name} (metadata)`
+        );
+      }
+    }
+  }
+
+  if (visualizationChanges.length > 0) {
+    log(`\nVisualizations: ${visualizationChanges.length}`);
+
+    for (const { label, action, local, remote } of visualizationChanges) {
+      log(`  ${label} (${action})`);
+
+      if (options.diff && local && remote) {
+        await showJsonDiff(local, remote, label);
+      }
+    }
+  }
+
+  const drafts = await listScopedDrafts(options.scope);
+
+  if (drafts.length > 0) {
+    log(`\nLocal drafts (would offer creation): ${drafts.length}`);
+
+    for (const draftName of drafts) {
+      log(`  queries/${draftName}`);
+      reportPlan({
+        path: `queries/${draftName}`,
+        part: 'query',
+        action: 'draft',
+      });
+    }
+  }
+
+  /** @type {Record<string, number>} */
+  const counts = {
+    new: plan.new.length,
+    drafts: drafts.length,
+    remoteUpdated: plan['remote-updated'].length,
+    localModified: plan['local-modified'].length,
+    conflicts: plan.conflict.length,
+    unchanged: plan.unchanged.length,
+    visualizationChanges: visualizationChanges.length,
+    total,
+  };
+
+  log('\nSummary (dry run, nothing was written):');
+  log(`  New: ${counts.new}`);
+  log(`  Local drafts: ${counts.drafts}`);
+  log(`  Remote updated: ${counts.remoteUpdated}`);
+  log(`  Local modified: ${counts.localModified}`);
+  log(`  Conflicts: ${counts.conflicts}`);
+  log(`  Unchanged: ${counts.unchanged}`);
+  log(`  Visualization changes: ${counts.visualizationChanges}`);
+  log(`  Total: ${counts.total}`);
+
+  reportSummary('dry-run', counts, 0);
+}
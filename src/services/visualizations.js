@@ -0,0 +1,415 @@
+/**
+ * Visualization sync service
+ * Keeps one JSON file per visualization under queries/<id>/visualizations/
+ */
+
+import { generateHash } from './hash.js';
+import { classifyHashes } from './comparison.js';
+import { confirmUpload, resolveConflict } from './session.js';
+import {
+  listVisualizationFiles,
+  readVisualizationFile,
+  writeVisualizationFile,
+  removeVisualizationFile,
+  readQueryMetadata,
+  saveQueryMetadata,
+} from '../utils/fileManager.js';
+import { showJsonDiff } from '../utils/diff.js';
+import { slugify } from '../utils/slug.js';
+import { log, notice } from '../utils/output.js';
+import { reportQuery } from './report.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashVisualization} RedashVisualization
+ * @typedef {import('./comparison.js').SyncAction} SyncAction
+ * @typedef {import('./downloader.js').SyncContext} SyncContext
+ * @typedef {import('./report.js').QueryAction} QueryAction
+ * @typedef {import('./report.js').QueryEvent} QueryEvent
+ */
+
+/**
+ * Editable content of a visualization file
+ * @typedef {Object} VisualizationFile
+ * @property {number} id
+ * @property {string} type
+ * @property {string} name
+ * @property {string} description
+ * @property {Record<string, unknown>} options
+ */
+
+/**
+ * 'deleted': removed in Redash. 'invalid': local file can't be parsed
+ * @typedef {SyncAction | 'deleted' | 'invalid'} VisualizationAction
+ */
+
+/**
+ * @typedef {Object} VisualizationComparison
+ * @property {number} id
+ * @property {VisualizationAction} action
+ * @property {string} label
+ * @property {string | null} file Current local file name
+ * @property {VisualizationFile | null} local
+ * @property {VisualizationFile | null} remote
+ * @property {string | null} localHash
+ * @property {string | null} cachedHash
+ * @property {string | null} remoteHash
+ */
+
+/**
+ * Extract the editable fields of a visualization
+ * @param {RedashVisualization} visualization
+ * @returns {VisualizationFile}
+ */
+export function pickVisualization(visualization) {
+  return {
+    id: visualization.id,
+    type: visualization.type,
+    name: visualization.name,
+    description: visualization.description || '',
+    options: visualization.options || {},
+  };
+}
+
+/**
+ * Generate hash of a visualization's editable fields
+ * @param {VisualizationFile} visualization
+ * @returns {string}
+ */
+export function hashVisualization(visualization) {
+  return generateHash(
+    JSON.stringify({
+      type: visualization.type,
+      name: visualization.name,
+      description: visualization.description,
+      options: visualization.options,
+    })
+  );
+}
+
+/**
+ * File name of a visualization, e.g. '456-line-chart.json'
+ * @param {VisualizationFile} visualization
+ * @returns {string}
+ */
+export function visualizationFileName(visualization) {
+  return `${visualization.id}-${slugify(visualization.name)}.json`;
+}
+
+/**
+ * Check that parsed file content looks like a visualization
+ * @param {unknown} content
+ * @returns {VisualizationFile | null}
+ */
+function parseVisualizationFile(content) {
+  if (!content || typeof content !== 'object') {
+    return null;
+  }
+
+  const file = /** @type {Partial<VisualizationFile>} */ (content);
+
+  if (typeof file.type !== 'string' || typeof file.name !== 'string') {
+    return null;
+  }
+
+  return {
+    id: Number(file.id),
+    type: file.type,
+    name: file.name,
+    description: file.description || '',
+    options: file.options || {},
+  };
+}
+
+/**
+ * Compare remote visualizations of a query against the local files
+ * @param {number} queryId
+ * @param {RedashVisualization[]} visualizations
+ * @param {Record<string, string>} cachedHashes
+ * @returns {Promise<VisualizationComparison[]>}
+ */
+export async function compareVisualizations(
+  queryId,
+  visualizations,
+  cachedHashes
+) {
+  const files = await listVisualizationFiles(queryId);
+  /** @type {VisualizationComparison[]} */
+  const comparisons = [];
+
+  for (const visualization of visualizations) {
+    const remote = pickVisualization(visualization);
+    const remoteHash = hashVisualization(remote);
+    const file = files.get(remote.id) || null;
+    const local = file
+      ? parseVisualizationFile(await readVisualizationFile(queryId, file))
+      : null;
+    const localHash = local ? hashVisualization(local) : null;
+    const cachedHash = cachedHashes[remote.id] || null;
+    files.delete(remote.id);
+
+    /** @type {VisualizationAction} */
+    let action;
+
+    if (file && !local) {
+      action = 'invalid';
+    } else if (!local) {
+      action = 'new';
+    } else if (!cachedHash) {
+      // Local file of unknown origin - only trust it if it matches
+      action = localHash === remoteHash ? 'unchanged' : 'conflict';
+    } else {
+      action = classifyHashes(localHash, cachedHash, remoteHash);
+    }
+
+    comparisons.push({
+      id: remote.id,
+      action,
+      label: `Query ${queryId} / Visualization ${remote.id}: ${remote.name}`,
+      file,
+      local,
+      remote,
+      localHash,
+      cachedHash,
+      remoteHash,
+    });
+  }
+
+  // Files left over belong to visualizations that no longer exist remotely
+  for (const [id, file] of files) {
+    const local = parseVisualizationFile(
+      await readVisualizationFile(queryId, file)
+    );
+
+    comparisons.push({
+      id,
+      action: 'deleted',
+      label: `Query ${queryId} / Visualization ${id}: ${local ? local.name : file}`,
+      file,
+      local,
+      remote: null,
+      localHash: local ? hashVisualization(local) : null,
+      cachedHash: cachedHashes[id] || null,
+      remoteHash: null,
+    });
+  }
+
+  return comparisons;
+}
+
+/**
+ * Report what happened to a visualization, with the hashes it was compared by
+ * @param {number} queryId
+ * @param {VisualizationComparison} comparison
+ * @param {QueryAction} action
+ * @param {Partial<QueryEvent>} [fields] e.g. the resolution or error
+ * @returns {void}
+ */
+function reportVisualization(queryId, comparison, action, fields = {}) {
+  reportQuery({
+    id: queryId,
+    visualization_id: comparison.id,
+    part: 'visualization',
+    action,
+    hashes: {
+      local: comparison.localHash,
+      cached: comparison.cachedHash,
+      remote: comparison.remoteHash,
+    },
+    ...fields,
+  });
+}
+
+/**
+ * Write a remote visualization to its local file
+ * @param {number} queryId
+ * @param {VisualizationComparison} comparison
+ * @param {VisualizationFile} visualization
+ * @returns {Promise<string>} Hash of the written content
+ */
+async function saveVisualization(queryId, comparison, visualization) {
+  await writeVisualizationFile(
+    queryId,
+    visualizationFileName(visualization),
+    visualization,
+    comparison.file || undefined
+  );
+  return hashVisualization(visualization);
+}
+
+/**
+ * Upload a local visualization file
+ * @param {SyncContext} context
+ * @param {number} queryId
+ * @param {VisualizationComparison} comparison
+ * @param {VisualizationFile} local
+ * @returns {Promise<string | null>} Hash of the uploaded content, or null on failure
+ */
+async function uploadVisualization(context, queryId, comparison, local) {
+  try {
+    const updated = await context.client.updateVisualization(comparison.id, {
+      type: local.type,
+      name: local.name,
+      description: local.description,
+      options: local.options,
+    });
+    context.counts.visualizationsToRemote++;
+    log(`  [LOCAL→REMOTE] ${comparison.label} uploaded`);
+    reportVisualization(
+      queryId,
+      comparison,
+      'uploaded',
+      comparison.action === 'conflict' ? { resolution: 'local' } : {}
+    );
+    return await saveVisualization(
+      queryId,
+      comparison,
+      pickVisualization(updated)
+    );
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    context.counts.failed++;
+    console.error(
+      `  [ERROR] Failed to upload visualization ${comparison.id}: ${message}`
+    );
+    reportVisualization(queryId, comparison, 'failed', { error: message });
+    return null;
+  }
+}
+
+/**
+ * Whether syncing a visualization may have to ask what to do
+ * @param {VisualizationComparison} comparison
+ * @returns {boolean}
+ */
+export function needsVisualizationDecision(comparison) {
+  return (
+    comparison.action === 'local-modified' || comparison.action === 'conflict'
+  );
+}
+
+/**
+ * Sync the visualizations of a query and record their hashes in query.json
+ * @param {SyncContext} context
+ * @param {number} queryId
+ * @param {VisualizationComparison[]} comparisons From compareVisualizations
+ * @returns {Promise<void>}
+ */
+export async function syncVisualizations(context, queryId, comparisons) {
+  const { client, session, counts } = context;
+
+  /** @type {Record<string, string>} */
+  const hashes = {};
+
+  for (const comparison of comparisons) {
+    const { id, action, label, local, remote, cachedHash } = comparison;
+
+    // Unless changed below, keep what the last sync recorded
+    if (cachedHash) {
+      hashes[id] = cachedHash;
+    }
+
+    if (session.userQuit) {
+      continue;
+    }
+
+    if (action === 'unchanged' && comparison.remoteHash) {
+      hashes[id] = comparison.remoteHash;
+    } else if ((action === 'new' || action === 'remote-updated') && remote) {
+      counts.visualizationsFromRemote++;
+      log(`  [${action === 'new' ? 'NEW' : 'REMOTE→LOCAL'}] ${label}`);
+      hashes[id] = await saveVisualization(queryId, comparison, remote);
+      reportVisualization(
+        queryId,
+        comparison,
+        action === 'new' ? 'new' : 'downloaded'
+      );
+    } else if (action === 'invalid') {
+      console.error(
+        `  [ERROR] ${label} - visualizations/${comparison.file} is not a valid visualization file, skipping`
+      );
+      reportVisualization(queryId, comparison, 'failed', {
+        error: `visualizations/${comparison.file} is not a valid visualization file`,
+      });
+    } else if (action === 'deleted') {
+      delete hashes[id];
+
+      if (comparison.localHash && comparison.localHash === cachedHash) {
+        log(`  [REMOVED] ${label} (deleted in Redash)`);
+        await removeVisualizationFile(
+          queryId,
+          /** @type {string} */ (comparison.file)
+        );
+        reportVisualization(queryId, comparison, 'removed');
+      } else {
+        notice(
+          `  [WARN] ${label} - not in Redash, keeping visualizations/${comparison.file}`
+        );
+      }
+    } else if (action === 'local-modified' && local && remote) {
+      log(`  [LOCAL MODIFIED] ${label} (local changes detected)`);
+      const response = await confirmUpload(
+        session,
+        `Upload local visualization changes to remote? ${client.baseUrl}/queries/${queryId}`,
+        { beforePrompt: () => showJsonDiff(local, remote, label) }
+      );
+
+      if (response === 'yes') {
+        const hash = await uploadVisualization(
+          context,
+          queryId,
+          comparison,
+          local
+        );
+        if (hash) {
+          hashes[id] = hash;
+        }
+      } else if (response === 'skip') {
+        log(`  [SKIP] ${label}: Upload declined`);
+        reportVisualization(queryId, comparison, 'declined');
+      }
+    } else if (action === 'conflict' && local && remote) {
+      log(`  [CONFLICT] ${label} (local, cached, and remote all differ)`);
+      const resolution = await resolveConflict(
+        session,
+        `visualization ${id} of query ${queryId}`,
+        `Resolve visualization conflict? ${client.baseUrl}/queries/${queryId}`,
+        { beforePrompt: () => showJsonDiff(local, remote, label) }
+      );
+      const hash =
+        resolution === 'local'
+          ? await uploadVisualization(context, queryId, comparison, local)
+          : resolution === 'remote'
+            ? await saveVisualization(queryId, comparison, remote)
+            : null;
+
+      if (hash) {
+        if (resolution === 'remote') {
+          counts.visualizationsFromRemote++;
+          log(`  [CONFLICT→REMOTE] ${label} - remote version downloaded`);
+          reportVisualization(queryId, comparison, 'downloaded', {
+            resolution: 'remote',
+          });
+        }
+        hashes[id] = hash;
+      } else {
+        counts.conflicts++;
+        notice(`  [CONFLICT→SKIP] ${label} - keeping local version, no sync`);
+        reportVisualization(queryId, comparison, 'conflict');
+      }
+    }
+  }
+
+  // Record the hashes as of this sync
+  const metadata = await readQueryMetadata(queryId);
+
+  if (
+    metadata &&
+    JSON.stringify(metadata.visualization_hashes || {}) !==
+      JSON.stringify(hashes)
+  ) {
+    await saveQueryMetadata(queryId, {
+      ...metadata,
+      visualization_hashes: hashes,
+    });
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Watch mode
+ * Syncs a query as soon as its query.sql is saved, and polls Redash for
+ * changes to the watched queries
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createClient, RedashApiError } from '../api/redash.js';
+import { createSyncContext, syncSingleQuery } from './downloader.js';
+import { fetchQueries, matchesScope } from './scope.js';
+import {
+  ensureQueriesDir,
+  getQueriesDir,
+  isArchivedQueryDir,
+  listQueryDirs,
+} from '../utils/fileManager.js';
+
+/**
+ * @typedef {import('../api/redash.js').RedashQuery} RedashQuery
+ * @typedef {import('./downloader.js').SyncContext} SyncContext
+ * @typedef {import('./scope.js').SyncScope} SyncScope
+ */
+
+/**
+ * @typedef {Object} WatchOptions
+ * @property {SyncScope} [scope] Queries to watch (default: all of your own)
+ * @property {number} [interval] Seconds between polls of Redash (default: 60)
+ */
+
+const DEFAULT_INTERVAL = 60;
+
+// Saves of the same file within this many milliseconds are synced once
+const DEBOUNCE_MS = 500;
+
+/**
+ * Report a query the API failed on, and keep watching
+ * Other errors, and a rejected API key, stop the watch
+ * @param {string} label
+ * @param {unknown} error
+ * @returns {void}
+ */
+function reportError(label, error) {
+  if (!(error instanceof RedashApiError) || error.isAuthError) {
+    throw error;
+  }
+  console.error(`  [ERROR] ${label} - ${error.message}`);
+}
+
+/**
+ * Sync a watched query, warning about conflicts, which are never resolved
+ * by overwriting either side
+ * @param {SyncContext} context
+ * @param {RedashQuery} query
+ * @returns {Promise<void>}
+ */
+async function syncWatchedQuery(context, query) {
+  const { counts } = context;
+  const conflicts = counts.conflicts;
+
+  try {
+    await syncSingleQuery(context, query);
+  } catch (error) {
+    reportError(`Query ${query.id}: ${query.name}`, error);
+    counts.failed++;
+    return;
+  }
+
+  if (counts.conflicts > conflicts) {
+    console.log(
+      `  [WARN] Query ${query.id}: ${query.name} - not synced to keep both versions, run npm run sync to resolve the conflict`
+    );
+  }
+}
+
+/**
+ * Sync the query whose query.sql was saved
+ * @param {SyncContext} context
+ * @param {SyncScope} scope
+ * @param {string} queryDir
+ * @returns {Promise<void>}
+ */
+async function syncSavedQuery(context, scope, queryDir) {
+  const entry = [...(await listQueryDirs())].find(
+    ([, dir]) => dir === queryDir
+  );
+
+  // Drafts are created with sync or create, archived queries are left alone
+  if (!entry || isArchivedQueryDir(queryDir)) {
+    return;
+  }
+
+  const [queryId] = entry;
+  /** @type {RedashQuery} */
+  let query;
+
+  try {
+    query = await context.client.getQuery(queryId);
+  } catch (error) {
+    reportError(`Query ${queryId}`, error);
+    return;
+  }
+
+  const watched =
+    scope.ids && scope.ids.length > 0
+      ? scope.ids.includes(queryId)
+      : matchesScope(query, scope);
+
+  if (watched) {
+    await syncWatchedQuery(context, query);
+  }
+}
+
+/**
+ * Sync the watched queries that changed in Redash since they were synced
+ * @param {SyncContext} context
+ * @param {SyncScope} scope
+ * @returns {Promise<void>}
+ */
+async function pollRemote(context, scope) {
+  const queryDirs = await listQueryDirs();
+
+  try {
+    for await (const query of fetchQueries(context.client, scope)) {
+      const queryDir = queryDirs.get(query.id);
+
+      if (
+        queryDir &&
+        !isArchivedQueryDir(queryDir) &&
+        context.state.queries[String(query.id)]?.updated_at !== query.updated_at
+      ) {
+        await syncWatchedQuery(context, query);
+      }
+    }
+  } catch (error) {
+    reportError('Polling Redash', error);
+  }
+}
+
+/**
+ * Watch local queries and Redash until stopped with Ctrl-C
+ * A saved query.sql is compared with Redash and uploaded if only the local
+ * copy changed. Remote changes are downloaded when Redash is polled.
+ * Conflicts are reported and left for sync to resolve
+ * @param {WatchOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function watchQueries(options = {}) {
+  const interval = options.interval ?? DEFAULT_INTERVAL;
+  const scope = options.scope || {};
+
+  if (!Number.isFinite(interval) || interval <= 0) {
+    throw new Error(
+      `Invalid interval ${interval} (expected a number of seconds above 0)`
+    );
+  }
+
+  console.log('Connecting to Redash API...');
+
+  const client = createClient();
+
+  await ensureQueriesDir();
+
+  const context = await createSyncContext(client, {
+    upload: 'always',
+    onConflict: 'skip',
+  });
+  const { counts } = context;
+
+  // Syncs run one at a time, in the order they were triggered
+  let queue = Promise.resolve();
+  let stopping = false;
+
+  return new Promise((resolve, reject) => {
+    /** @type {Map<string, NodeJS.Timeout>} */
+    const pending = new Map();
+
+    /**
+     * @param {() => Promise<void>} task
+     * @returns {void}
+     */
+    const enqueue = (task) => {
+      if (!stopping) {
+        queue = queue.then(task).catch((error) => {
+          stop(error);
+        });
+      }
+    };
+
+    const watcher = fs.watch(
+      getQueriesDir(),
+      { recursive: true },
+      (_event, filename) => {
+        if (!filename || path.basename(filename) !== 'query.sql') {
+          return;
+        }
+
+        const queryDir = path.join(getQueriesDir(), path.dirname(filename));
+
+        clearTimeout(pending.get(queryDir));
+        pending.set(
+          queryDir,
+          setTimeout(() => {
+            pending.delete(queryDir);
+            enqueue(() => syncSavedQuery(context, scope, queryDir));
+          }, DEBOUNCE_MS)
+        );
+      }
+    );
+    const poller = setInterval(
+      () => enqueue(() => pollRemote(context, scope)),
+      interval * 1000
+    );
+
+    const onSignal = () => {
+      if (stopping) {
+        console.log('Stopped without waiting for the current sync');
+        process.exit(130);
+      }
+      console.log('\nStopping watch, finishing the current sync...');
+      stop();
+    };
+
+    /**
+     * @param {unknown} [error]
+     * @returns {Promise<void>}
+     */
+    const stop = async (error) => {
+      if (stopping) {
+        return;
+      }
+
+      stopping = true;
+      watcher.close();
+      clearInterval(poller);
+      for (const timer of pending.values()) {
+        clearTimeout(timer);
+      }
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+      // A second Ctrl-C while the current sync finishes forces the exit
+      process.once('SIGINT', onSignal);
+
+      await queue;
+
+      console.log('\nWatch stopped:');
+      console.log(`  Uploaded: ${counts.updatedToRemote}`);
+      console.log(
+        `  Downloaded: ${counts.updatedFromRemote + counts.downloaded}`
+      );
+      console.log(`  Conflicts: ${counts.conflicts}`);
+      console.log(`  Failed: ${counts.failed}`);
+      console.log(`  Blocked by safety checks: ${counts.blocked}`);
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    watcher.on('error', (error) => stop(error));
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+
+    console.log(
+      `Watching ${path.relative(process.cwd(), getQueriesDir()) || '.'} for saved query.sql files, polling Redash every ${interval}s (Ctrl-C to stop)`
+    );
+
+    // Catch up with Redash right away
+    enqueue(() => pollRemote(context, scope));
+  });
+}
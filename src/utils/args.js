@@ -0,0 +1,91 @@
+/**
+ * Command-line argument helpers
+ * Narrow values returned by util.parseArgs to the types commands expect
+ */
+
+/**
+ * @typedef {Record<string, string | boolean | (string | boolean)[] | undefined>} ArgValues
+ */
+
+/**
+ * Read a string option
+ * @param {ArgValues} values
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+export function getString(values, name) {
+  const value = values[name];
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Read a boolean flag
+ * @param {ArgValues} values
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function getBoolean(values, name) {
+  return values[name] === true;
+}
+
+/**
+ * Read a string option restricted to a set of allowed values
+ * @template {string} T
+ * @param {ArgValues} values
+ * @param {string} name
+ * @param {readonly T[]} choices
+ * @returns {T | undefined}
+ */
+export function getChoice(values, name, choices) {
+  const value = getString(values, name);
+
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const choice = choices.find((candidate) => candidate === value);
+
+  if (!choice) {
+    throw new Error(
+      `Invalid value '${value}' for --${name} (expected one of: ${choices.join(', ')})`
+    );
+  }
+
+  return choice;
+}
+
+/**
+ * Read an option that may be given multiple times
+ * @param {ArgValues} values
+ * @param {string} name
+ * @returns {string[]}
+ */
+export function getStrings(values, name) {
+  const value = values[name];
+  const list = Array.isArray(value) ? value : [value];
+  return list.filter((item) => typeof item === 'string');
+}
+
+/**
+ * Read a non-negative numeric option
+ * @param {ArgValues} values
+ * @param {string} name
+ * @returns {number | undefined}
+ */
+export function getNumber(values, name) {
+  const value = getString(values, name);
+
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(
+      `Invalid value '${value}' for --${name} (expected a non-negative number)`
+    );
+  }
+
+  return number;
+}
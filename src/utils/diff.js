@@ -0,0 +1,135 @@
+/**
+ * Diff display utilities
+ * Uses git diff when available, falling back to diff
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { normalizeSql } from './normalize.js';
+import { getMessageStream, notice } from './output.js';
+
+/**
+ * Show diff between local and remote content using git diff or diff command
+ * @param {string} localContent
+ * @param {string} remoteContent
+ * @param {string} label
+ * @returns {Promise<void>}
+ */
+async function showContentDiff(localContent, remoteContent, label) {
+  // Create temporary files for diffing
+  const tmpDir = os.tmpdir();
+  const localFile = path.join(tmpDir, `redash-local-${Date.now()}.sql`);
+  const remoteFile = path.join(tmpDir, `redash-remote-${Date.now()}.sql`);
+
+  try {
+    await fs.writeFile(localFile, localContent, 'utf8');
+    await fs.writeFile(remoteFile, remoteContent, 'utf8');
+
+    notice(`\n  [DIFF] Changes for ${label}:`);
+
+    // Try git diff first, then fall back to diff
+    const diffCommand = await new Promise((resolve) => {
+      const gitTest = spawn('git', ['--version']);
+      gitTest.on('close', (code) => {
+        resolve(code === 0 ? 'git' : 'diff');
+      });
+      gitTest.on('error', () => resolve('diff'));
+    });
+
+    return new Promise((resolve) => {
+      const args =
+        diffCommand === 'git'
+          ? [
+              'diff',
+              '--no-index',
+              '--color=always',
+              '--',
+              remoteFile,
+              localFile,
+            ]
+          : ['-u', remoteFile, localFile];
+
+      const proc = spawn(diffCommand, args);
+
+      proc.stdout.on('data', (data) => {
+        // Filter out the temp file paths from diff output
+        const output = data
+          .toString()
+          .split('\n')
+          .filter(
+            /** @param {string} line */
+            (line) => {
+              // Skip lines that show temp file paths
+              return !(
+                line.startsWith('---') ||
+                line.startsWith('+++') ||
+                line.startsWith('diff --git')
+              );
+            }
+          )
+          .join('\n');
+
+        if (output.trim()) {
+          getMessageStream().write(output);
+        }
+      });
+
+      proc.stderr.on('data', (_data) => {
+        // Ignore stderr for diff (exit code 1 is normal when files differ)
+      });
+
+      proc.on('close', async () => {
+        // Clean up temp files
+        try {
+          await fs.unlink(localFile);
+          await fs.unlink(remoteFile);
+        } catch (error) {
+          // Ignore cleanup errors
+        }
+        notice(''); // Add blank line after diff
+        resolve();
+      });
+    });
+  } catch (error) {
+    // If diff fails, just continue without showing it
+    notice(
+      `  [DIFF] Could not generate diff: ${error instanceof Error ? error.message : String(error)}`
+    );
+    // Clean up temp files on error
+    try {
+      await fs.unlink(localFile);
+      await fs.unlink(remoteFile);
+    } catch {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+/**
+ * Show diff between local and remote SQL after the configured normalization,
+ * so only changes that count as modifications are shown
+ * @param {string} localSql
+ * @param {string} remoteSql
+ * @param {string} label
+ * @returns {Promise<void>}
+ */
+export async function showDiff(localSql, remoteSql, label) {
+  await showContentDiff(normalizeSql(localSql), normalizeSql(remoteSql), label);
+}
+
+/**
+ * Show diff between local and remote values serialized as JSON
+ * @param {unknown} localValue
+ * @param {unknown} remoteValue
+ * @param {string} label
+ * @returns {Promise<void>}
+ */
+export async function showJsonDiff(localValue, remoteValue, label) {
+  await showContentDiff(
+    `${JSON.stringify(localValue, null, 2)}\n`,
+    `${JSON.stringify(remoteValue, null, 2)}\n`,
+    label
+  );
+}
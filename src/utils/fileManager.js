@@ -1,3 +1,8 @@
+/**
+ * @typedef {import('../api/redash.js').QueryParameter} QueryParameter
+ * @typedef {import('../api/redash.js').QuerySchedule} QuerySchedule
+ */
+
 /**
  * @typedef {Object} QueryMetadata
  * @property {number} id
@@ -10,10 +15,148 @@
  * @property {boolean} is_archived
  * @property {boolean} is_draft
  * @property {string[]} tags
+ * @property {QueryParameter[]} [parameters] Missing in files from older versions
+ * @property {QuerySchedule | null} [schedule] Missing in files from older versions
+ * @property {string} hash
+ * @property {string} [normalization] REDASH_NORMALIZE steps the hash was computed with, missing for none
+ * @property {string} [metadata_hash] Hash of the editable fields as of the last sync
+ * @property {Record<string, string>} [visualization_hashes] Hash of each visualization file as of the last sync, by visualization ID
+ * @property {string} downloaded_at
+ */
+
+/**
+ * Minimal metadata for a query written locally that doesn't exist in Redash yet
+ * @typedef {Object} QueryDraft
+ * @property {string} name
+ * @property {number} data_source_id
+ * @property {string} [description]
+ * @property {string[]} [tags]
+ * @property {QueryParameter[]} [parameters]
+ * @property {QuerySchedule | null} [schedule]
+ * @property {number} [created_id] ID of the query created from the draft, until its directory is moved
+ */
+
+/**
+ * @typedef {Object} DashboardWidget
+ * @property {number | null} id Null for widgets added locally
+ * @property {number | null} visualization_id Null for text boxes
+ * @property {number | null} query_id Query of the visualization (informational)
+ * @property {string} text
+ * @property {number} width
+ * @property {Record<string, unknown>} options Includes the widget's position
+ */
+
+/**
+ * @typedef {Object} DashboardMetadata
+ * @property {number} id
+ * @property {string} slug
+ * @property {string} name
+ * @property {string[]} tags
+ * @property {boolean} dashboard_filters_enabled
+ * @property {boolean} is_archived
+ * @property {boolean} is_draft
+ * @property {number} user_id
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {DashboardWidget[]} widgets
+ * @property {string} hash
+ * @property {string} downloaded_at
+ */
+
+/**
+ * @typedef {Object} AlertDestination
+ * @property {number} id
+ * @property {string} [name] Informational
+ */
+
+/**
+ * @typedef {Object} AlertMetadata
+ * @property {number} id
+ * @property {string} name
+ * @property {number} query_id
+ * @property {string} query_name Name of the query (informational)
+ * @property {string} column Result column the condition is checked on
+ * @property {string} op Comparison operator, e.g. '>'
+ * @property {number | string} value Threshold
+ * @property {number | null} rearm Seconds before a triggered alert notifies again, null to notify once
+ * @property {AlertDestination[]} destinations
+ * @property {string} state State as of the download (informational)
+ * @property {number | null} user_id
+ * @property {string} created_at
+ * @property {string} updated_at
  * @property {string} hash
  * @property {string} downloaded_at
  */
 
+/**
+ * A snippet as of the last sync
+ * @typedef {Object} SnippetIndexEntry
+ * @property {string} file File name in the snippets directory
+ * @property {string} hash Hash of the trigger, description and body
+ * @property {string} updated_at Remote updated_at that was synced
+ */
+
+/**
+ * @typedef {Record<string, SnippetIndexEntry>} SnippetIndex Entries by snippet ID
+ */
+
+/**
+ * Translations between two Redash instances, by source ID
+ * @typedef {Object} PromotionMapping
+ * @property {Record<string, number>} data_sources Target data source of each source data source
+ * @property {Record<string, number>} queries Target query each source query was promoted to
+ */
+
+/**
+ * @typedef {Record<string, PromotionMapping>} PromotionFile Mappings by '<from>:<to>'
+ */
+
+/**
+ * @typedef {'id' | 'slug'} QueryLayout
+ */
+
+/**
+ * @typedef {'download' | 'upload' | 'conflict'} HistoryDirection
+ */
+
+/**
+ * A version of a query seen during sync
+ * Content is only stored the first time a hash appears in the history
+ * @typedef {Object} HistoryEntry
+ * @property {number} rev Revision number, starting at 1
+ * @property {string} timestamp
+ * @property {HistoryDirection} direction How the version came to be in sync
+ * @property {string} hash Hash of the SQL
+ * @property {string} metadata_hash Hash of the editable metadata
+ * @property {string} [sql]
+ * @property {import('../services/metadata.js').EditableMetadata} [metadata]
+ */
+
+/**
+ * State of a query as of the last sync
+ * @typedef {Object} SyncStateEntry
+ * @property {string} updated_at Remote updated_at that was synced
+ * @property {number | null} local_mtime Latest modification time of the local files in ms, null if they may differ from Redash
+ */
+
+/**
+ * @typedef {Object} SyncState
+ * @property {string | null} last_sync When the last sync started
+ * @property {Record<string, SyncStateEntry>} queries Entries by query ID
+ */
+
+/**
+ * An upload to Redash whose result may not have been saved locally yet
+ * @typedef {Object} JournalEntry
+ * @property {string} started_at
+ * @property {string} [sql] SQL being uploaded
+ * @property {string} [metadata_hash] Hash of the editable metadata being uploaded
+ */
+
+/**
+ * @typedef {Record<string, JournalEntry>} SyncJournal Entries by query ID
+ */
+
 /**
  * File management utilities
  * Uses native fs/promises module
@@ -23,111 +166,1323 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { DEFAULT_PROFILE, getActiveProfile } from './profiles.js';
+import { slugify } from './slug.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Project root is two levels up from src/utils
 const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
-const QUERIES_DIR = path.join(PROJECT_ROOT, 'queries');
+const PROMOTIONS_PATH = path.join(PROJECT_ROOT, 'promotions.json');
+
+// Folder of queries/ holding queries archived or deleted in Redash
+const ARCHIVE_FOLDER = '_archived';
+
+// Files are written under this suffix, then renamed over the real file
+const TEMP_SUFFIX = '.tmp';
+
+// Files of a query directory written through temporary files
+const QUERY_FILES = ['query.sql', 'query.base.sql', 'query.json'];
 
 /**
- * Ensure the queries directory exists
- * @returns {Promise<void>}
+ * Get the directory holding the local files of the active profile
+ * The default profile uses the project root, others profiles/<name>/
+ * @returns {string}
  */
-export async function ensureQueriesDir() {
-  await fs.mkdir(QUERIES_DIR, { recursive: true });
+export function getProfileRoot() {
+  const profile = getActiveProfile();
+  return profile === DEFAULT_PROFILE
+    ? PROJECT_ROOT
+    : path.join(PROJECT_ROOT, 'profiles', profile);
 }
 
 /**
- * Get the directory path for a specific query
- * @param {number} queryId
+ * Get the path of the sync state file of the active profile
  * @returns {string}
  */
-export function getQueryDir(queryId) {
-  return path.join(QUERIES_DIR, String(queryId));
+export function getSyncStatePath() {
+  return path.join(getProfileRoot(), '.sync-state.json');
 }
 
 /**
- * Get the file path for a query's SQL file
+ * Get the path of a query's history file in the active profile
+ * Kept outside of queries/ so it outlives the query's directory
  * @param {number} queryId
  * @returns {string}
  */
-export function getQuerySqlPath(queryId) {
-  return path.join(getQueryDir(queryId), 'query.sql');
+export function getHistoryPath(queryId) {
+  return path.join(getProfileRoot(), '.history', `${queryId}.jsonl`);
 }
 
 /**
- * Get the file path for a query's metadata JSON file
- * @param {number} queryId
+ * Get the path of the upload journal of the active profile
  * @returns {string}
  */
-export function getQueryJsonPath(queryId) {
-  return path.join(getQueryDir(queryId), 'query.json');
+export function getSyncJournalPath() {
+  return path.join(getProfileRoot(), '.sync-journal.json');
 }
 
 /**
- * Save a query to the filesystem
- * @param {number} queryId
- * @param {string} sqlContent
- * @param {QueryMetadata} metadata
+ * Get the queries directory of the active profile
+ * @returns {string}
+ */
+export function getQueriesDir() {
+  return path.join(getProfileRoot(), 'queries');
+}
+
+/**
+ * Get the dashboards directory of the active profile
+ * @returns {string}
+ */
+export function getDashboardsDir() {
+  return path.join(getProfileRoot(), 'dashboards');
+}
+
+/**
+ * Get the alerts directory path
+ * @returns {string}
+ */
+export function getAlertsDir() {
+  return path.join(getProfileRoot(), 'alerts');
+}
+
+/**
+ * Get the snippets directory path
+ * @returns {string}
+ */
+export function getSnippetsDir() {
+  return path.join(getProfileRoot(), 'snippets');
+}
+
+/**
+ * Ensure the queries directory exists
  * @returns {Promise<void>}
  */
-export async function saveQuery(queryId, sqlContent, metadata) {
-  const queryDir = getQueryDir(queryId);
+export async function ensureQueriesDir() {
+  await fs.mkdir(getQueriesDir(), { recursive: true });
+}
 
-  // Create directory for this query
-  await fs.mkdir(queryDir, { recursive: true });
+/**
+ * Write a file through a temporary file, so an interrupted write never
+ * leaves it half written
+ * @param {string} file
+ * @param {string} content
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(file, content) {
+  await fs.writeFile(`${file}${TEMP_SUFFIX}`, content, 'utf8');
+  await fs.rename(`${file}${TEMP_SUFFIX}`, file);
+}
+
+/**
+ * Get the directory layout of query files, set with REDASH_LAYOUT
+ * 'id': queries/<id>/, 'slug': queries/<tag>/<id>-<slugified-name>/
+ * @returns {QueryLayout}
+ */
+export function getQueryLayout() {
+  const layout = process.env.REDASH_LAYOUT || 'id';
 
-  // Save SQL file
-  const sqlPath = getQuerySqlPath(queryId);
-  await fs.writeFile(sqlPath, sqlContent, 'utf8');
+  if (layout !== 'id' && layout !== 'slug') {
+    throw new Error(
+      `Invalid REDASH_LAYOUT '${layout}' (expected 'id' or 'slug')`
+    );
+  }
 
-  // Save metadata JSON
-  const jsonPath = getQueryJsonPath(queryId);
-  await fs.writeFile(jsonPath, JSON.stringify(metadata, null, 2), 'utf8');
+  return layout;
 }
 
 /**
- * Check if a query already exists locally
- * @param {number} queryId
+ * Check whether a directory holds query files directly
+ * @param {string} dir
  * @returns {Promise<boolean>}
  */
-export async function queryExists(queryId) {
+async function hasQueryFiles(dir) {
+  const entries = await fs
+    .readdir(dir)
+    .catch(() => /** @type {string[]} */ ([]));
+  return entries.includes('query.sql') || entries.includes('query.json');
+}
+
+/**
+ * Get the query ID of a query directory, named '<id>' or '<id>-<slug>'
+ * with a query.json holding that ID
+ * Both layouts are recognized, so switching layouts never turns query
+ * directories into drafts. Folders without query files, such as a '2023'
+ * tag folder, and directories without a query.json of the same ID, such as
+ * a '2024-report' draft, are not query directories
+ * @param {string} dir
+ * @returns {Promise<number | null>}
+ * @throws {Error} If query.json exists but can't be read
+ */
+async function readQueryDirId(dir) {
+  const match = path.basename(dir).match(/^(\d+)(?:-.*)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const queryId = Number(match[1]);
+  const jsonPath = path.join(dir, 'query.json');
+  /** @type {unknown} */
+  let metadata;
+
   try {
-    const sqlPath = getQuerySqlPath(queryId);
-    await fs.access(sqlPath);
-    return true;
-  } catch {
-    return false;
+    metadata = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(
+      `queries/${path.relative(getQueriesDir(), jsonPath)} could not be read: ${error instanceof Error ? error.message : String(error)}`
+    );
   }
+
+  return metadata &&
+    typeof metadata === 'object' &&
+    'id' in metadata &&
+    metadata.id === queryId
+    ? queryId
+    : null;
 }
 
+/** @type {{ root: string, dirs: Promise<Map<number, string>> } | null} */
+let queryDirIndex = null;
+
 /**
- * Read existing query metadata
- * @param {number} queryId
- * @returns {Promise<QueryMetadata | null>}
+ * Find the directories of all local queries
+ * Query directories can sit in folders of any depth. Folders starting with
+ * '.' and drafts (other directories with query files) are not searched
+ * @param {string} dir
+ * @param {Map<number, string>} dirs
+ * @returns {Promise<void>}
  */
-export async function readQueryMetadata(queryId) {
+async function scanQueryDirs(dir, dirs) {
+  /** @type {import('fs').Dirent[]} */
+  let entries;
+
   try {
-    const jsonPath = getQueryJsonPath(queryId);
-    const content = await fs.readFile(jsonPath, 'utf8');
-    return JSON.parse(content);
+    entries = await fs.readdir(dir, { withFileTypes: true });
   } catch {
-    return null;
+    return;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) {
+      continue;
+    }
+
+    const entryPath = path.join(dir, entry.name);
+    const queryId = await readQueryDirId(entryPath);
+    const existing = queryId === null ? undefined : dirs.get(queryId);
+
+    if (existing) {
+      throw new Error(
+        `Query ${queryId} has two directories: ${path.relative(getQueriesDir(), existing)} and ${path.relative(getQueriesDir(), entryPath)}`
+      );
+    } else if (queryId !== null) {
+      dirs.set(queryId, entryPath);
+    } else if (!(await hasQueryFiles(entryPath))) {
+      await scanQueryDirs(entryPath, dirs);
+    }
   }
 }
 
 /**
- * Read query SQL content from file
+ * Get the directories of all local queries by query ID
+ * The queries directory is scanned once per profile, later moves and new
+ * directories are recorded as they are made
+ * @returns {Promise<Map<number, string>>}
+ */
+function getQueryDirIndex() {
+  const root = getQueriesDir();
+
+  // Fail on a mistyped layout before any file is touched
+  getQueryLayout();
+
+  if (!queryDirIndex || queryDirIndex.root !== root) {
+    /** @type {Map<number, string>} */
+    const dirs = new Map();
+    queryDirIndex = { root, dirs: scanQueryDirs(root, dirs).then(() => dirs) };
+  }
+
+  return queryDirIndex.dirs;
+}
+
+/**
+ * Find the directory of a local query, wherever it sits
  * @param {number} queryId
  * @returns {Promise<string | null>}
  */
-export async function readQuerySql(queryId) {
-  try {
-    const sqlPath = getQuerySqlPath(queryId);
-    return await fs.readFile(sqlPath, 'utf8');
-  } catch {
+export async function findQueryDir(queryId) {
+  return (await getQueryDirIndex()).get(queryId) || null;
+}
+
+/**
+ * List the directories of all local queries by query ID
+ * @returns {Promise<Map<number, string>>}
+ */
+export async function listQueryDirs() {
+  return new Map(await getQueryDirIndex());
+}
+
+/**
+ * Check whether a query directory sits in the queries/_archived/ area
+ * @param {string} queryDir
+ * @returns {boolean}
+ */
+export function isArchivedQueryDir(queryDir) {
+  const [folder] = path.relative(getQueriesDir(), queryDir).split(path.sep);
+  return folder === ARCHIVE_FOLDER;
+}
+
+/**
+ * Get the directory a query belongs in according to the layout
+ * The slug layout uses the first tag in alphabetical order as folder, and
+ * leaves untagged queries at the top level. Archived queries go to the same
+ * place under queries/_archived/
+ * @param {number} queryId
+ * @param {{ name: string, tags?: string[], is_archived?: boolean }} metadata
+ * @returns {string}
+ */
+export function getLayoutDir(queryId, metadata) {
+  const root = metadata.is_archived
+    ? path.join(getQueriesDir(), ARCHIVE_FOLDER)
+    : getQueriesDir();
+
+  if (getQueryLayout() === 'id') {
+    return path.join(root, String(queryId));
+  }
+
+  const [tag] = [...(metadata.tags || [])].sort();
+  const name = `${queryId}-${slugify(metadata.name)}`;
+
+  return tag ? path.join(root, slugify(tag), name) : path.join(root, name);
+}
+
+/**
+ * Get the directory path for a specific query
+ * Queries not saved locally yet get queries/<id>/ until their metadata is
+ * known
+ * @param {number} queryId
+ * @returns {Promise<string>}
+ */
+export async function getQueryDir(queryId) {
+  return (
+    (await findQueryDir(queryId)) || path.join(getQueriesDir(), String(queryId))
+  );
+}
+
+/**
+ * Create the directory of a query, unless it already exists
+ * @param {number} queryId
+ * @param {{ name: string, tags?: string[], is_archived?: boolean }} [metadata] Places the directory per the layout
+ * @returns {Promise<string>}
+ */
+async function ensureQueryDir(queryId, metadata) {
+  const existing = await findQueryDir(queryId);
+
+  if (existing) {
+    return existing;
+  }
+
+  const queryDir = metadata
+    ? getLayoutDir(queryId, metadata)
+    : path.join(getQueriesDir(), String(queryId));
+
+  // e.g. a query directory whose query.json was deleted, kept as a draft
+  if (await hasQueryFiles(queryDir)) {
+    throw new Error(
+      `queries/${path.relative(getQueriesDir(), queryDir)} has query files but no query.json with "id": ${queryId}, move them away to download query ${queryId}`
+    );
+  }
+
+  await fs.mkdir(queryDir, { recursive: true });
+  (await getQueryDirIndex()).set(queryId, queryDir);
+  return queryDir;
+}
+
+/**
+ * Remove empty folders left behind by a moved query, up to the queries
+ * directory
+ * @param {string} dir
+ * @returns {Promise<void>}
+ */
+async function removeEmptyFolders(dir) {
+  const root = getQueriesDir();
+
+  while (dir !== root && dir.startsWith(root)) {
+    try {
+      await fs.rmdir(dir);
+    } catch {
+      return;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Move a query's directory to where the layout wants it, e.g. after it was
+ * renamed, retagged or archived
+ * @param {number} queryId
+ * @returns {Promise<{ from: string, to: string } | null>} Null if not moved
+ */
+export async function placeQueryDir(queryId) {
+  const from = await findQueryDir(queryId);
+  const metadata = await readQueryMetadata(queryId);
+
+  if (!from || !metadata) {
+    return null;
+  }
+
+  const to = getLayoutDir(queryId, metadata);
+
+  if (to === from) {
     return null;
   }
+
+  const exists = await fs.access(to).then(
+    () => true,
+    () => false
+  );
+
+  if (exists) {
+    throw new Error(
+      `Cannot move query ${queryId} to ${path.relative(getQueriesDir(), to)}, the directory already exists`
+    );
+  }
+
+  // Another query leaving the same folder may remove it in between
+  for (let attempt = 0; ; attempt++) {
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    try {
+      await fs.rename(from, to);
+      break;
+    } catch (error) {
+      const { code } = /** @type {NodeJS.ErrnoException} */ (error);
+      if (code !== 'ENOENT' || attempt > 0) {
+        throw error;
+      }
+    }
+  }
+
+  (await getQueryDirIndex()).set(queryId, to);
+  await removeEmptyFolders(path.dirname(from));
+
+  return { from, to };
+}
+
+/**
+ * Get the file path for a query's SQL file
+ * @param {number} queryId
+ * @returns {Promise<string>}
+ */
+export async function getQuerySqlPath(queryId) {
+  return path.join(await getQueryDir(queryId), 'query.sql');
+}
+
+/**
+ * Get the file path for a query's metadata JSON file
+ * @param {number} queryId
+ * @returns {Promise<string>}
+ */
+export async function getQueryJsonPath(queryId) {
+  return path.join(await getQueryDir(queryId), 'query.json');
+}
+
+/**
+ * Get the file path for a query's base SQL file (content as of the last sync)
+ * @param {number} queryId
+ * @returns {Promise<string>}
+ */
+export async function getQueryBasePath(queryId) {
+  return path.join(await getQueryDir(queryId), 'query.base.sql');
+}
+
+/**
+ * Save a query to the filesystem
+ * The SQL content is also kept as the base version for three-way merges.
+ * All files are written to temporary files before any is renamed into
+ * place, query.json last, so an interrupted save can be finished by
+ * recoverInterruptedWrites
+ * @param {number} queryId
+ * @param {string} sqlContent
+ * @param {QueryMetadata} metadata
+ * @param {string} [baseContent] Base version, if not the SQL content
+ * @returns {Promise<void>}
+ */
+export async function saveQuery(
+  queryId,
+  sqlContent,
+  metadata,
+  baseContent = sqlContent
+) {
+  // Create directory for this query
+  const queryDir = await ensureQueryDir(queryId, metadata);
+  const contents = [sqlContent, baseContent, JSON.stringify(metadata, null, 2)];
+
+  for (const [index, file] of QUERY_FILES.entries()) {
+    await fs.writeFile(
+      path.join(queryDir, `${file}${TEMP_SUFFIX}`),
+      /** @type {string} */ (contents[index]),
+      'utf8'
+    );
+  }
+
+  for (const file of QUERY_FILES) {
+    await fs.rename(
+      path.join(queryDir, `${file}${TEMP_SUFFIX}`),
+      path.join(queryDir, file)
+    );
+  }
+}
+
+/**
+ * Overwrite only the metadata JSON file of a query
+ * @param {number} queryId
+ * @param {QueryMetadata} metadata
+ * @returns {Promise<void>}
+ */
+export async function saveQueryMetadata(queryId, metadata) {
+  await writeFileAtomic(
+    await getQueryJsonPath(queryId),
+    JSON.stringify(metadata, null, 2)
+  );
+}
+
+/**
+ * Overwrite only the local SQL file of a query, leaving metadata and base as-is
+ * @param {number} queryId
+ * @param {string} sqlContent
+ * @returns {Promise<void>}
+ */
+export async function writeQuerySql(queryId, sqlContent) {
+  await writeFileAtomic(await getQuerySqlPath(queryId), sqlContent);
+}
+
+/**
+ * Find the directories interrupted during the first save of a query
+ * They have temporary query files but no query.json yet, so they are
+ * missing from the index of query directories
+ * @param {string} dir
+ * @param {Set<string>} queryDirs Indexed query directories
+ * @param {string[]} found
+ * @returns {Promise<void>}
+ */
+async function findUnsavedQueryDirs(dir, queryDirs, found) {
+  /** @type {import('fs').Dirent[]} */
+  let entries;
+
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (
+      !entry.isDirectory() ||
+      entry.name.startsWith('.') ||
+      queryDirs.has(entryPath)
+    ) {
+      continue;
+    }
+
+    const files = await fs
+      .readdir(entryPath)
+      .catch(() => /** @type {string[]} */ ([]));
+
+    if (
+      /^\d+(?:-.*)?$/.test(entry.name) &&
+      QUERY_FILES.some((file) => files.includes(`${file}${TEMP_SUFFIX}`))
+    ) {
+      found.push(entryPath);
+    } else if (!(await hasQueryFiles(entryPath))) {
+      await findUnsavedQueryDirs(entryPath, queryDirs, found);
+    }
+  }
+}
+
+/**
+ * Finish or undo the first save of a query, interrupted before its
+ * query.json was in place
+ * Like later saves, it is finished if query.json.tmp parses and holds the
+ * ID of the directory. Otherwise the temporary files are removed, and so is
+ * the directory if nothing else is left in it
+ * @param {string} queryDir
+ * @returns {Promise<{ queryId: number, finished: boolean }>}
+ */
+async function recoverUnsavedQueryDir(queryDir) {
+  const queryId = Number(path.basename(queryDir).split('-')[0]);
+  const entries = await fs
+    .readdir(queryDir)
+    .catch(() => /** @type {string[]} */ ([]));
+  const temps = QUERY_FILES.filter((file) =>
+    entries.includes(`${file}${TEMP_SUFFIX}`)
+  );
+  let finished = false;
+
+  try {
+    const metadata = JSON.parse(
+      await fs.readFile(path.join(queryDir, `query.json${TEMP_SUFFIX}`), 'utf8')
+    );
+    finished = metadata.id === queryId;
+  } catch {
+    // Interrupted while the temporary files were written
+  }
+
+  for (const file of temps) {
+    const tempPath = path.join(queryDir, `${file}${TEMP_SUFFIX}`);
+
+    if (finished) {
+      await fs.rename(tempPath, path.join(queryDir, file));
+    } else {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  if (!finished) {
+    await removeEmptyFolders(queryDir);
+  }
+
+  return { queryId, finished };
+}
+
+/**
+ * Finish or undo the writes to local query files that a crash or Ctrl-C
+ * interrupted
+ * A query.json.tmp that parses means every file of the save was written and
+ * only renames are missing, so they are done. Other temporary files are
+ * removed, which leaves the previous files in place
+ * @returns {Promise<{ queryId: number, finished: boolean }[]>} Queries that had interrupted writes
+ */
+export async function recoverInterruptedWrites() {
+  /** @type {{ queryId: number, finished: boolean }[]} */
+  const recovered = [];
+  /** @type {string[]} */
+  const unsaved = [];
+
+  await findUnsavedQueryDirs(
+    getQueriesDir(),
+    new Set((await getQueryDirIndex()).values()),
+    unsaved
+  );
+
+  for (const queryDir of unsaved) {
+    recovered.push(await recoverUnsavedQueryDir(queryDir));
+  }
+
+  if (recovered.some(({ finished }) => finished)) {
+    // Index the directories that now have a query.json
+    queryDirIndex = null;
+  }
+
+  for (const [queryId, queryDir] of await listQueryDirs()) {
+    const entries = await fs
+      .readdir(queryDir)
+      .catch(() => /** @type {string[]} */ ([]));
+    const temps = QUERY_FILES.filter((file) =>
+      entries.includes(`${file}${TEMP_SUFFIX}`)
+    );
+    const visualizationsDir = path.join(queryDir, 'visualizations');
+    const visualizationTemps = entries.includes('visualizations')
+      ? (
+          await fs
+            .readdir(visualizationsDir)
+            .catch(() => /** @type {string[]} */ ([]))
+        ).filter((file) => file.endsWith(`.json${TEMP_SUFFIX}`))
+      : [];
+
+    for (const file of visualizationTemps) {
+      await fs.rm(path.join(visualizationsDir, file), { force: true });
+    }
+
+    if (temps.length === 0) {
+      continue;
+    }
+
+    let finished = false;
+
+    try {
+      JSON.parse(
+        await fs.readFile(
+          path.join(queryDir, `query.json${TEMP_SUFFIX}`),
+          'utf8'
+        )
+      );
+      finished = true;
+    } catch {
+      // Interrupted while the temporary files were written
+    }
+
+    for (const file of temps) {
+      const tempPath = path.join(queryDir, `${file}${TEMP_SUFFIX}`);
+
+      if (finished) {
+        await fs.rename(tempPath, path.join(queryDir, file));
+      } else {
+        await fs.rm(tempPath, { force: true });
+      }
+    }
+
+    recovered.push({ queryId, finished });
+  }
+
+  return recovered;
+}
+
+/**
+ * Check if a query already exists locally
+ * @param {number} queryId
+ * @returns {Promise<boolean>}
+ */
+export async function queryExists(queryId) {
+  try {
+    const sqlPath = await getQuerySqlPath(queryId);
+    await fs.access(sqlPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read existing query metadata
+ * @param {number} queryId
+ * @returns {Promise<QueryMetadata | null>}
+ */
+export async function readQueryMetadata(queryId) {
+  try {
+    const jsonPath = await getQueryJsonPath(queryId);
+    const content = await fs.readFile(jsonPath, 'utf8');
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read query SQL content from file
+ * @param {number} queryId
+ * @returns {Promise<string | null>}
+ */
+export async function readQuerySql(queryId) {
+  try {
+    const sqlPath = await getQuerySqlPath(queryId);
+    return await fs.readFile(sqlPath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the base SQL content saved by the last sync
+ * @param {number} queryId
+ * @returns {Promise<string | null>}
+ */
+export async function readQueryBase(queryId) {
+  try {
+    const basePath = await getQueryBasePath(queryId);
+    return await fs.readFile(basePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the file path for a query's saved results
+ * @param {number} queryId
+ * @param {'csv' | 'json'} format
+ * @returns {Promise<string>}
+ */
+export async function getQueryResultsPath(queryId, format) {
+  return path.join(await getQueryDir(queryId), `results.${format}`);
+}
+
+/**
+ * Save query results next to the query
+ * @param {number} queryId
+ * @param {'csv' | 'json'} format
+ * @param {string} content
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function writeQueryResults(queryId, format, content) {
+  const resultsPath = path.join(
+    await ensureQueryDir(queryId),
+    `results.${format}`
+  );
+  await writeFileAtomic(resultsPath, content);
+  return resultsPath;
+}
+
+/**
+ * Get the directory path for a draft query (a directory not named by ID)
+ * @param {string} draftName
+ * @returns {string}
+ */
+export function getDraftDir(draftName) {
+  return path.join(getQueriesDir(), draftName);
+}
+
+/**
+ * List draft query directories, i.e. top-level directories with query files
+ * that are not query directories
+ * Directories starting with '.' or '_', and folders without query files
+ * (such as tag folders of the slug layout) are ignored
+ * @returns {Promise<string[]>}
+ */
+export async function listQueryDrafts() {
+  /** @type {string[]} */
+  const drafts = [];
+  const queryDirs = new Set((await getQueryDirIndex()).values());
+
+  try {
+    for (const entry of await fs.readdir(getQueriesDir(), {
+      withFileTypes: true,
+    })) {
+      if (
+        entry.isDirectory() &&
+        !queryDirs.has(getDraftDir(entry.name)) &&
+        !entry.name.startsWith('.') &&
+        !entry.name.startsWith('_') &&
+        (await hasQueryFiles(getDraftDir(entry.name)))
+      ) {
+        drafts.push(entry.name);
+      }
+    }
+  } catch {
+    return [];
+  }
+
+  return drafts.sort();
+}
+
+/**
+ * Read a draft query's SQL and metadata
+ * @param {string} draftName
+ * @returns {Promise<{ sql: string | null, draft: Partial<QueryDraft> | null }>}
+ */
+export async function readQueryDraft(draftName) {
+  const draftDir = getDraftDir(draftName);
+
+  const [sql, draft] = await Promise.all([
+    fs.readFile(path.join(draftDir, 'query.sql'), 'utf8').catch(() => null),
+    fs
+      .readFile(path.join(draftDir, 'query.json'), 'utf8')
+      .then((content) => JSON.parse(content))
+      .catch(() => null),
+  ]);
+
+  return { sql, draft };
+}
+
+/**
+ * Record the ID of the query created from a draft in its query.json
+ * It stays there until the draft directory is moved, so a draft whose move
+ * failed is moved again rather than created twice
+ * @param {string} draftName
+ * @param {number} queryId
+ * @returns {Promise<void>}
+ */
+export async function saveDraftCreatedId(draftName, queryId) {
+  const jsonPath = path.join(getDraftDir(draftName), 'query.json');
+  const draft = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+
+  await writeFileAtomic(
+    jsonPath,
+    JSON.stringify({ ...draft, created_id: queryId }, null, 2)
+  );
+}
+
+/**
+ * Move a draft directory to the directory of the query created from it
+ * A draft already in that directory, e.g. a draft named '<id>' in the id
+ * layout, stays where it is
+ * @param {string} draftName
+ * @param {QueryMetadata} metadata Metadata of the created query
+ * @returns {Promise<void>}
+ */
+export async function renameDraftDir(draftName, metadata) {
+  const queryId = metadata.id;
+  const queryDir = getLayoutDir(queryId, metadata);
+  const draftDir = getDraftDir(draftName);
+
+  if (draftDir !== queryDir) {
+    const exists =
+      (await findQueryDir(queryId)) !== null ||
+      (await fs.access(queryDir).then(
+        () => true,
+        () => false
+      ));
+
+    if (exists) {
+      throw new Error(`Directory for query ${queryId} already exists`);
+    }
+
+    await fs.mkdir(path.dirname(queryDir), { recursive: true });
+    await fs.rename(draftDir, queryDir);
+  }
+
+  (await getQueryDirIndex()).set(queryId, queryDir);
+}
+
+/**
+ * Get the directory path for a query's visualization files
+ * @param {number} queryId
+ * @returns {Promise<string>}
+ */
+export async function getVisualizationsDir(queryId) {
+  return path.join(await getQueryDir(queryId), 'visualizations');
+}
+
+/**
+ * List a query's visualization files by visualization ID
+ * Files are named '<id>-<slug>.json'
+ * @param {number} queryId
+ * @returns {Promise<Map<number, string>>}
+ */
+export async function listVisualizationFiles(queryId) {
+  /** @type {Map<number, string>} */
+  const files = new Map();
+
+  try {
+    for (const file of await fs.readdir(await getVisualizationsDir(queryId))) {
+      const match = file.match(/^(\d+)-.*\.json$/);
+      if (match) {
+        files.set(Number(match[1]), file);
+      }
+    }
+  } catch {
+    // No visualizations saved yet
+  }
+
+  return files;
+}
+
+/**
+ * Read a visualization file
+ * @param {number} queryId
+ * @param {string} file
+ * @returns {Promise<unknown>}
+ */
+export async function readVisualizationFile(queryId, file) {
+  try {
+    const content = await fs.readFile(
+      path.join(await getVisualizationsDir(queryId), file),
+      'utf8'
+    );
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a visualization file, removing its previous file if it was renamed
+ * @param {number} queryId
+ * @param {string} file
+ * @param {unknown} content
+ * @param {string} [previousFile]
+ * @returns {Promise<void>}
+ */
+export async function writeVisualizationFile(
+  queryId,
+  file,
+  content,
+  previousFile
+) {
+  const dir = await getVisualizationsDir(queryId);
+  await fs.mkdir(dir, { recursive: true });
+  await writeFileAtomic(
+    path.join(dir, file),
+    `${JSON.stringify(content, null, 2)}\n`
+  );
+
+  if (previousFile && previousFile !== file) {
+    await fs.rm(path.join(dir, previousFile), { force: true });
+  }
+}
+
+/**
+ * Remove a visualization file
+ * @param {number} queryId
+ * @param {string} file
+ * @returns {Promise<void>}
+ */
+export async function removeVisualizationFile(queryId, file) {
+  await fs.rm(path.join(await getVisualizationsDir(queryId), file), {
+    force: true,
+  });
+}
+
+/**
+ * Get the latest modification time of a query's local files
+ * @param {number} queryId
+ * @returns {Promise<number | null>} Null if query.sql or query.json is missing
+ */
+export async function getQueryFilesMtime(queryId) {
+  const visualizationsDir = await getVisualizationsDir(queryId);
+  let mtime;
+
+  try {
+    const stats = await Promise.all(
+      [await getQuerySqlPath(queryId), await getQueryJsonPath(queryId)].map(
+        (file) => fs.stat(file)
+      )
+    );
+    mtime = Math.max(...stats.map((stat) => stat.mtimeMs));
+  } catch {
+    return null;
+  }
+
+  try {
+    // Directory time covers removed files, file times cover edits
+    for (const file of ['', ...(await fs.readdir(visualizationsDir))]) {
+      const stat = await fs.stat(path.join(visualizationsDir, file));
+      mtime = Math.max(mtime, stat.mtimeMs);
+    }
+  } catch {
+    // No visualizations saved yet
+  }
+
+  return mtime;
+}
+
+/**
+ * Ensure the dashboards directory exists
+ * @returns {Promise<void>}
+ */
+export async function ensureDashboardsDir() {
+  await fs.mkdir(getDashboardsDir(), { recursive: true });
+}
+
+/**
+ * Get the directory path for a specific dashboard
+ * @param {number} dashboardId
+ * @returns {string}
+ */
+export function getDashboardDir(dashboardId) {
+  return path.join(getDashboardsDir(), String(dashboardId));
+}
+
+/**
+ * Get the file path for a dashboard's JSON file
+ * @param {number} dashboardId
+ * @returns {string}
+ */
+export function getDashboardJsonPath(dashboardId) {
+  return path.join(getDashboardDir(dashboardId), 'dashboard.json');
+}
+
+/**
+ * Save a dashboard to the filesystem
+ * @param {number} dashboardId
+ * @param {DashboardMetadata} dashboard
+ * @returns {Promise<void>}
+ */
+export async function saveDashboard(dashboardId, dashboard) {
+  await fs.mkdir(getDashboardDir(dashboardId), { recursive: true });
+  await writeFileAtomic(
+    getDashboardJsonPath(dashboardId),
+    JSON.stringify(dashboard, null, 2)
+  );
+}
+
+/**
+ * Read a saved dashboard
+ * @param {number} dashboardId
+ * @returns {Promise<DashboardMetadata | null>}
+ */
+export async function readDashboard(dashboardId) {
+  try {
+    const content = await fs.readFile(
+      getDashboardJsonPath(dashboardId),
+      'utf8'
+    );
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ensure the alerts directory exists
+ * @returns {Promise<void>}
+ */
+export async function ensureAlertsDir() {
+  await fs.mkdir(getAlertsDir(), { recursive: true });
+}
+
+/**
+ * Get the directory path for a specific alert
+ * @param {number} alertId
+ * @returns {string}
+ */
+export function getAlertDir(alertId) {
+  return path.join(getAlertsDir(), String(alertId));
+}
+
+/**
+ * Get the file path for an alert's JSON file
+ * @param {number} alertId
+ * @returns {string}
+ */
+export function getAlertJsonPath(alertId) {
+  return path.join(getAlertDir(alertId), 'alert.json');
+}
+
+/**
+ * Save an alert to the filesystem
+ * @param {number} alertId
+ * @param {AlertMetadata} alert
+ * @returns {Promise<void>}
+ */
+export async function saveAlert(alertId, alert) {
+  await fs.mkdir(getAlertDir(alertId), { recursive: true });
+  await writeFileAtomic(
+    getAlertJsonPath(alertId),
+    JSON.stringify(alert, null, 2)
+  );
+}
+
+/**
+ * Read a saved alert
+ * @param {number} alertId
+ * @returns {Promise<AlertMetadata | null>}
+ */
+export async function readAlert(alertId) {
+  try {
+    const content = await fs.readFile(getAlertJsonPath(alertId), 'utf8');
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ensure the snippets directory exists
+ * @returns {Promise<void>}
+ */
+export async function ensureSnippetsDir() {
+  await fs.mkdir(getSnippetsDir(), { recursive: true });
+}
+
+/**
+ * Get the path of the snippet index, which is committed with the snippets
+ * @returns {string}
+ */
+export function getSnippetIndexPath() {
+  return path.join(getSnippetsDir(), 'snippets.json');
+}
+
+/**
+ * List the snippet files in the snippets directory
+ * @returns {Promise<string[]>} File names
+ */
+export async function listSnippetFiles() {
+  try {
+    return (await fs.readdir(getSnippetsDir()))
+      .filter((file) => file.endsWith('.sql'))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read a snippet file
+ * @param {string} file
+ * @returns {Promise<string | null>}
+ */
+export async function readSnippetFile(file) {
+  try {
+    return await fs.readFile(path.join(getSnippetsDir(), file), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a snippet file
+ * @param {string} file
+ * @param {string} content
+ * @returns {Promise<void>}
+ */
+export async function writeSnippetFile(file, content) {
+  await writeFileAtomic(path.join(getSnippetsDir(), file), content);
+}
+
+/**
+ * Remove a snippet file
+ * @param {string} file
+ * @returns {Promise<void>}
+ */
+export async function removeSnippetFile(file) {
+  await fs.rm(path.join(getSnippetsDir(), file), { force: true });
+}
+
+/**
+ * Read the snippet index
+ * @returns {Promise<SnippetIndex>}
+ */
+export async function readSnippetIndex() {
+  try {
+    const content = await fs.readFile(getSnippetIndexPath(), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(
+      `snippets/snippets.json could not be read: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+/**
+ * Save the snippet index
+ * @param {SnippetIndex} index
+ * @returns {Promise<void>}
+ */
+export async function saveSnippetIndex(index) {
+  await writeFileAtomic(
+    getSnippetIndexPath(),
+    `${JSON.stringify(index, null, 2)}\n`
+  );
+}
+
+/**
+ * Get the path of the promotion mappings, shared by all profiles
+ * @returns {string}
+ */
+export function getPromotionsPath() {
+  return PROMOTIONS_PATH;
+}
+
+/**
+ * Read the promotion mappings between profiles
+ * @returns {Promise<PromotionFile>}
+ */
+export async function readPromotions() {
+  try {
+    const content = await fs.readFile(PROMOTIONS_PATH, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(
+      `promotions.json could not be read: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+/**
+ * Save the promotion mappings between profiles
+ * @param {PromotionFile} promotions
+ * @returns {Promise<void>}
+ */
+export async function savePromotions(promotions) {
+  await writeFileAtomic(
+    PROMOTIONS_PATH,
+    `${JSON.stringify(promotions, null, 2)}\n`
+  );
+}
+
+/**
+ * Read the sync state of the active profile
+ * The state is only a cache, so an unreadable file counts as empty
+ * @returns {Promise<SyncState>}
+ */
+export async function readSyncState() {
+  try {
+    const state = JSON.parse(await fs.readFile(getSyncStatePath(), 'utf8'));
+    return { last_sync: state.last_sync || null, queries: state.queries || {} };
+  } catch {
+    return { last_sync: null, queries: {} };
+  }
+}
+
+/**
+ * Save the sync state of the active profile
+ * @param {SyncState} state
+ * @returns {Promise<void>}
+ */
+export async function saveSyncState(state) {
+  await fs.mkdir(getProfileRoot(), { recursive: true });
+  await writeFileAtomic(
+    getSyncStatePath(),
+    `${JSON.stringify(state, null, 2)}\n`
+  );
+}
+
+/**
+ * Read the upload journal of the active profile
+ * @returns {Promise<SyncJournal>}
+ */
+export async function readSyncJournal() {
+  try {
+    return JSON.parse(await fs.readFile(getSyncJournalPath(), 'utf8'));
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(
+      `.sync-journal.json could not be read: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+/**
+ * Save the upload journal of the active profile, removing it once empty
+ * @param {SyncJournal} journal
+ * @returns {Promise<void>}
+ */
+export async function saveSyncJournal(journal) {
+  if (Object.keys(journal).length === 0) {
+    await fs.rm(getSyncJournalPath(), { force: true });
+    return;
+  }
+
+  await fs.mkdir(getProfileRoot(), { recursive: true });
+  await writeFileAtomic(
+    getSyncJournalPath(),
+    `${JSON.stringify(journal, null, 2)}\n`
+  );
+}
+
+/**
+ * Read the version history of a query, oldest first
+ * @param {number} queryId
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function readHistory(queryId) {
+  try {
+    const content = await fs.readFile(getHistoryPath(queryId), 'utf8');
+    return content
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return [];
+    }
+    throw new Error(
+      `History of query ${queryId} could not be read: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+/**
+ * Add a version to the history of a query
+ * @param {number} queryId
+ * @param {HistoryEntry} entry
+ * @returns {Promise<void>}
+ */
+export async function appendHistory(queryId, entry) {
+  const historyPath = getHistoryPath(queryId);
+  await fs.mkdir(path.dirname(historyPath), { recursive: true });
+  await fs.appendFile(historyPath, `${JSON.stringify(entry)}\n`, 'utf8');
 }
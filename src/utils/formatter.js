@@ -0,0 +1,56 @@
+/**
+ * SQL formatter
+ * Runs the command set with REDASH_FORMATTER on SQL before it is uploaded
+ */
+
+import { spawn } from 'child_process';
+
+// Milliseconds before a formatter that doesn't exit is stopped
+const FORMATTER_TIMEOUT = 30_000;
+
+/**
+ * Format SQL with the configured formatter command
+ * The command gets the SQL on stdin and prints the formatted SQL
+ * @param {string} sql
+ * @returns {Promise<string>} The SQL as-is if no formatter is configured
+ */
+export async function formatSql(sql) {
+  const command = process.env.REDASH_FORMATTER;
+
+  if (!command) {
+    return sql;
+  }
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, { shell: true, timeout: FORMATTER_TIMEOUT });
+    let stdout = '';
+    let stderr = '';
+
+    proc.stdout.on('data', (data) => (stdout += data));
+    proc.stderr.on('data', (data) => (stderr += data));
+    // A formatter that exits without reading stdin is judged by its exit code
+    proc.stdin.on('error', () => {});
+
+    proc.on('error', (error) =>
+      reject(
+        new Error(`Formatter '${command}' could not run: ${error.message}`)
+      )
+    );
+    proc.on('close', (code) => {
+      if (code !== 0) {
+        const reason = code === null ? 'was stopped' : `exited with ${code}`;
+        reject(
+          new Error(
+            `Formatter '${command}' ${reason}${stderr.trim() ? `: ${stderr.trim()}` : ''}`
+          )
+        );
+      } else if (!stdout.trim() && sql.trim()) {
+        reject(new Error(`Formatter '${command}' printed no SQL`));
+      } else {
+        resolve(stdout);
+      }
+    });
+
+    proc.stdin.end(sql);
+  });
+}
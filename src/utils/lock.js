@@ -0,0 +1,157 @@
+/**
+ * Locks on the directories and files commands write to
+ * Keeps two commands that write the same files, such as two syncs, from
+ * running at once on the same profile
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  getPromotionsPath,
+  getQueriesDir,
+  recoverInterruptedWrites,
+} from './fileManager.js';
+import { log } from './output.js';
+
+/**
+ * @typedef {Object} LockInfo
+ * @property {number} pid
+ * @property {string} hostname
+ * @property {string} command
+ * @property {string} started_at
+ */
+
+/**
+ * Check whether the process holding a lock is gone
+ * Locks taken on other machines sharing the directory are never stale
+ * @param {LockInfo} lock
+ * @returns {boolean}
+ */
+function isStale(lock) {
+  if (lock.hostname !== os.hostname()) {
+    return false;
+  }
+
+  try {
+    process.kill(lock.pid, 0);
+    return false;
+  } catch (error) {
+    return /** @type {NodeJS.ErrnoException} */ (error).code === 'ESRCH';
+  }
+}
+
+/**
+ * Take a lock, replacing one left behind by a process that died
+ * @param {string} lockPath
+ * @param {string} command
+ * @returns {Promise<void>}
+ */
+async function acquireLock(lockPath, command) {
+  /** @type {LockInfo} */
+  const lock = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    command,
+    started_at: new Date().toISOString(),
+  };
+
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fs.writeFile(lockPath, `${JSON.stringify(lock, null, 2)}\n`, {
+        encoding: 'utf8',
+        flag: 'wx',
+      });
+      return;
+    } catch (error) {
+      const { code } = /** @type {NodeJS.ErrnoException} */ (error);
+      if (code !== 'EEXIST' || attempt > 0) {
+        throw error;
+      }
+    }
+
+    /** @type {LockInfo | null} */
+    const holder = await fs
+      .readFile(lockPath, 'utf8')
+      .then((content) => JSON.parse(content))
+      .catch(() => null);
+
+    // An unreadable lock may be one that is being written right now
+    if (!holder || !isStale(holder)) {
+      const by = holder
+        ? ` (${holder.command}, pid ${holder.pid} on ${holder.hostname}, since ${holder.started_at})`
+        : '';
+      throw new Error(
+        `Another command is working on these files${by}. If none is running, remove ${path.relative(process.cwd(), lockPath)}`
+      );
+    }
+
+    // Left behind by a process that was killed
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+/**
+ * Run a task while holding a lock file
+ * @template T
+ * @param {string} lockPath
+ * @param {string} command Name shown to other commands waiting for the lock
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+async function withLock(lockPath, command, task) {
+  await acquireLock(lockPath, command);
+
+  try {
+    return await task();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+/**
+ * Run a task while holding the lock on a directory, e.g. dashboards/
+ * @template T
+ * @param {string} dir
+ * @param {string} command Name shown to other commands waiting for the lock
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+export function withDirectoryLock(dir, command, task) {
+  return withLock(path.join(dir, '.lock'), command, task);
+}
+
+/**
+ * Run a task while holding the lock on the queries directory
+ * Local file writes that a crash or Ctrl-C interrupted are finished or
+ * undone first
+ * @template T
+ * @param {string} command Name shown to other commands waiting for the lock
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+export function withQueriesLock(command, task) {
+  return withDirectoryLock(getQueriesDir(), command, async () => {
+    for (const { queryId, finished } of await recoverInterruptedWrites()) {
+      log(
+        `  [RECOVERED] Query ${queryId}: ${finished ? 'finished' : 'undid'} an interrupted write of its local files`
+      );
+    }
+
+    return task();
+  });
+}
+
+/**
+ * Run a task while holding the lock on promotions.json, which all profiles
+ * share
+ * @template T
+ * @param {string} command Name shown to other commands waiting for the lock
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+export function withPromotionsLock(command, task) {
+  return withLock(`${getPromotionsPath()}.lock`, command, task);
+}
@@ -0,0 +1,118 @@
+/**
+ * SQL normalization
+ * Steps applied to SQL before it is hashed or diffed, so changes that don't
+ * matter aren't reported as modifications. Set with REDASH_NORMALIZE
+ */
+
+// Stands in for a removed comment until its line is cleaned up
+const COMMENT_MARK = '\u0000';
+
+/**
+ * Remove line (--) and block comments outside of quoted strings and
+ * identifiers
+ * Lines left empty by a removed comment are dropped, and lines that had one
+ * lose their trailing whitespace
+ * @param {string} sql
+ * @returns {string}
+ */
+function stripComments(sql) {
+  let result = '';
+  /** @type {string | null} */
+  let quote = null;
+
+  for (let index = 0; index < sql.length; index++) {
+    const char = sql.charAt(index);
+
+    if (quote) {
+      // A doubled quote closes and reopens the string, which works out
+      if (char === quote) {
+        quote = null;
+      }
+      result += char;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      result += char;
+    } else if (sql.startsWith('--', index)) {
+      const end = sql.indexOf('\n', index);
+      index = (end === -1 ? sql.length : end) - 1;
+      result += COMMENT_MARK;
+    } else if (sql.startsWith('/*', index)) {
+      const end = sql.indexOf('*/', index + 2);
+      index = end === -1 ? sql.length : end + 1;
+      result += COMMENT_MARK;
+    } else {
+      result += char;
+    }
+  }
+
+  return result
+    .split('\n')
+    .flatMap((line) => {
+      if (!line.includes(COMMENT_MARK)) {
+        return [line];
+      }
+      const text = line.replaceAll(COMMENT_MARK, '').trimEnd();
+      return text.trim() ? [text] : [];
+    })
+    .join('\n');
+}
+
+/**
+ * Normalization steps, in the order they are applied
+ * @type {Record<string, (sql: string) => string>}
+ */
+const STEPS = {
+  // CRLF and CR line endings become LF
+  'line-endings': (sql) => sql.replace(/\r\n?/g, '\n'),
+  comments: stripComments,
+  // Runs of spaces and tabs become one space, blank lines are dropped
+  whitespace: (sql) =>
+    sql
+      .split('\n')
+      .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n'),
+  'trailing-whitespace': (sql) => sql.replace(/[ \t]+$/gm, ''),
+};
+
+/**
+ * Get the normalization steps set with REDASH_NORMALIZE
+ * @returns {string} Comma-separated steps in the order they are applied, '' for none
+ */
+export function getNormalization() {
+  const steps = (process.env.REDASH_NORMALIZE || '')
+    .split(',')
+    .map((step) => step.trim())
+    .filter(Boolean);
+  const unknown = steps.find((step) => !(step in STEPS));
+
+  if (unknown) {
+    throw new Error(
+      `Invalid REDASH_NORMALIZE step '${unknown}' (expected ${Object.keys(STEPS).join(', ')})`
+    );
+  }
+
+  // Same steps, same hashes, whatever order they were listed in
+  return Object.keys(STEPS)
+    .filter((step) => steps.includes(step))
+    .join(',');
+}
+
+/**
+ * Normalize SQL
+ * @param {string} sql
+ * @param {string} [normalization] Steps as returned by getNormalization (default: REDASH_NORMALIZE)
+ * @returns {string}
+ */
+export function normalizeSql(sql, normalization = getNormalization()) {
+  let result = sql;
+
+  for (const step of normalization.split(',')) {
+    const normalize = STEPS[step];
+    if (normalize) {
+      result = normalize(result);
+    }
+  }
+
+  return result;
+}
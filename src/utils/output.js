@@ -0,0 +1,81 @@
+/**
+ * Console output
+ * Messages are shown according to the output level. With JSON output,
+ * stdout only carries NDJSON events and messages go to stderr
+ */
+
+/**
+ * 'quiet': only what needs attention. 'verbose': also unchanged items
+ * @typedef {'quiet' | 'normal' | 'verbose'} OutputLevel
+ */
+
+/**
+ * @typedef {Object} OutputOptions
+ * @property {OutputLevel} [level] (default: normal)
+ * @property {boolean} [json] Print NDJSON events on stdout
+ */
+
+/** @type {OutputLevel} */
+let outputLevel = 'normal';
+let jsonOutput = false;
+
+/**
+ * Set the output level and format for the rest of the run
+ * @param {OutputOptions} options
+ * @returns {void}
+ */
+export function configureOutput(options) {
+  outputLevel = options.level || 'normal';
+  jsonOutput = Boolean(options.json);
+}
+
+/**
+ * Get the stream messages and prompts are written to
+ * @returns {NodeJS.WriteStream}
+ */
+export function getMessageStream() {
+  return jsonOutput ? process.stderr : process.stdout;
+}
+
+/**
+ * Show a message that needs attention, such as a conflict left unresolved,
+ * at every level
+ * @param {string} [message]
+ * @returns {void}
+ */
+export function notice(message = '') {
+  getMessageStream().write(`${message}\n`);
+}
+
+/**
+ * Show a message, unless quiet
+ * @param {string} [message]
+ * @returns {void}
+ */
+export function log(message = '') {
+  if (outputLevel !== 'quiet') {
+    notice(message);
+  }
+}
+
+/**
+ * Show a message only when verbose
+ * @param {string} message
+ * @returns {void}
+ */
+export function detail(message) {
+  if (outputLevel === 'verbose') {
+    notice(message);
+  }
+}
+
+/**
+ * Print an event as a line of JSON, if JSON output is on
+ * @param {Record<string, unknown>} event
+ * @returns {void}
+ */
+export function emitEvent(event) {
+  if (jsonOutput) {
+    process.stdout.write(`${JSON.stringify(event)}\n`);
+  }
+}
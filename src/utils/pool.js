@@ -0,0 +1,47 @@
+/**
+ * Bounded concurrency for independent tasks
+ */
+
+/**
+ * Run a task for every item with at most `limit` tasks in flight
+ * Items are started in order and results keep the order of the items. After
+ * a task fails no new tasks are started, and the first error is rethrown once
+ * the running ones have settled
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} task
+ * @returns {Promise<R[]>}
+ */
+export async function runPool(items, limit, task) {
+  /** @type {R[]} */
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+
+      try {
+        results[index] = await task(/** @type {T} */ (items[index]), index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  );
+  const settled = await Promise.allSettled(workers);
+  const rejected = settled.find((result) => result.status === 'rejected');
+
+  if (rejected) {
+    throw /** @type {PromiseRejectedResult} */ (rejected).reason;
+  }
+
+  return results;
+}
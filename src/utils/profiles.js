@@ -0,0 +1,98 @@
+/**
+ * Named Redash profiles
+ * The default profile reads REDASH_URL and REDASH_API_KEY, a profile named
+ * 'staging' reads REDASH_STAGING_URL and REDASH_STAGING_API_KEY
+ */
+
+export const DEFAULT_PROFILE = 'default';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} name
+ * @property {string} url
+ * @property {string} apiKey
+ */
+
+/** @type {string} */
+let activeProfile = DEFAULT_PROFILE;
+
+/**
+ * Get the prefix of a profile's environment variables
+ * @param {string} name
+ * @returns {string} e.g. 'REDASH_' or 'REDASH_STAGING_'
+ */
+function getEnvPrefix(name) {
+  return name === DEFAULT_PROFILE
+    ? 'REDASH_'
+    : `REDASH_${name.toUpperCase().replaceAll('-', '_')}_`;
+}
+
+/**
+ * List the names of all profiles with a URL in the environment
+ * @returns {string[]}
+ */
+export function listProfiles() {
+  /** @type {string[]} */
+  const names = [];
+
+  for (const key of Object.keys(process.env)) {
+    if (key === 'REDASH_URL') {
+      names.unshift(DEFAULT_PROFILE);
+    } else {
+      const match = key.match(/^REDASH_([A-Z0-9_]+)_URL$/);
+      if (match) {
+        names.push(
+          /** @type {string} */ (match[1]).toLowerCase().replaceAll('_', '-')
+        );
+      }
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Read the credentials of a profile from the environment
+ * @param {string} [name] Profile name (default: the active profile)
+ * @returns {Profile}
+ */
+export function getProfile(name = activeProfile) {
+  const prefix = getEnvPrefix(name);
+  const url = process.env[`${prefix}URL`];
+  const apiKey = process.env[`${prefix}API_KEY`];
+
+  if (!url || !apiKey) {
+    throw new Error(
+      name === DEFAULT_PROFILE
+        ? 'REDASH_URL and REDASH_API_KEY environment variables must be set'
+        : `${prefix}URL and ${prefix}API_KEY environment variables must be set for profile '${name}'`
+    );
+  }
+
+  return { name, url, apiKey };
+}
+
+/**
+ * Select the profile used by API clients and local files
+ * @param {string} name
+ * @returns {void}
+ */
+export function useProfile(name) {
+  const profiles = listProfiles();
+
+  if (!profiles.includes(name)) {
+    throw new Error(
+      `Unknown profile '${name}' (configured: ${profiles.join(', ') || 'none'})`
+    );
+  }
+
+  activeProfile = name;
+}
+
+/**
+ * Get the name of the selected profile
+ * @returns {string}
+ */
+export function getActiveProfile() {
+  return activeProfile;
+}
@@ -0,0 +1,22 @@
+/**
+ * Slug utilities for human-readable file and directory names
+ */
+
+/**
+ * Turn a name into a lowercase, dash-separated slug
+ * @param {string} name
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+export function slugify(name, maxLength = 60) {
+  const slug = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+
+  return slug || 'untitled';
+}